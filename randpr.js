@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 // UNCLASSIFIED
 
 'use strict';
@@ -10,22 +11,46 @@ Generate or learn various random processes.
 
 Bayes:
 
-	K-state process governed by a prescribed conditional independency network:
+	N-node, K-state process governed by a prescribed conditional independency network:
 	
-		eqP: [pr, ...] the K equilibrium probs 
-		net: [ {var: probs, ...}, ... ] the conditional dependencies 
+		eqP: [pr, ...] the K equilibrium probs (and Dirichlet priors)
+		net: { node: [neighbour, ...], ... } undirected dependencies
 		
 	or expressed as a DAG:
 	
-		dag: { ... }
+		dag: { node: [parent, ...], ... }
+		
+	with conditional probs for each node given the states of its parents (dag) or neighbours (net):
+	
+		theta: { node: { "k1,k2,...": [pr, ...], ... }, ... }
+		
+	keyed by the comma-joined parent (neighbour) states in node order ("" for a root).
+	A dag is generated by ancestral sampling and a net by gibbs sampling; unspecified conditional probs
+	default to eqP.  The conditional probs are learnt from the node counts with Dirichlet priors eqP.
+	
+Structure:
+
+	Learns the dag over the N ensemble nodes by hill-climbing (add, delete, reverse edges) with:
+	
+		score: "bic" || "bdeu" family score
+		ess: bdeu equivalent sample size
+		maxParents: max parents per node
+		iters: max hill-climbing moves
+		
+	The learned dag and its conditional probs are reported in the end stats, and can be 
+	used directly as a bayes {dag, theta} config.
 	
 Gillespie:
 
-	Inhomogenious K-state process with specified transition probabilties:
+	Stochastic simulation of a reaction network with specified:
 	
-		states: number of states
+		species: [name, ...] species names
+		init: [count, ...] or {name: count, ...} initial species counts
+		reactions: [ {reactants: {name: number, ...}, products: {name: number, ...}, rate: const}, ... ]
+		tau: leap time (0 for exact reaction events)
 		
-	where its K^2 transition probs are synthesized using the gillespie model.
+	where exact (tau=0) reaction events are drawn at exponential waiting times, and tau-leaping fires 
+	poisson numbers of reactions in each leap.  The process counts reactions in each step.
 	
 Markov:
 
@@ -39,6 +64,39 @@ Markov:
 		TxPrs: { from: {to: pr, ... } , ... "from, ..." : "to, ..." }	
 		
 	where from-to transition probs must be specified to conserve prob, i.e. sum_k TxPrs[n][k] = 1.
+	An order-m chain, whose transitions condition on the last m states, is specified by:
+	
+		states: K
+		order: m
+		TxPrs: { "from1, ..., fromm": {to: pr, ...}, ... } (oldest from-state first)
+		
+	where unspecified prob is left in the most recent from-state.  Its first-order (equlib marginal) 
+	trans probs define the recurrence times and equlib probs of the process.  Markov chains of orders
+	0 ... order (the max order configured at the top level) are fitted to the observed states, and 
+	their log-likelihoods, aic and bic reported with the best (min bic) order.
+
+Generator:
+
+	Continuous-time K-state process with specified jump rates (Q-matrix):
+	
+		generator: [ [...], ....] the K^2 from-to jump rates 
+		
+	whose diagonal is balanced to -sum_{k != n} Q[n][k].  Holding times are exponential with rate -Q[n][n],
+	destinations drawn from the Q[n][k] / -Q[n][n] jump chain, and jumps made at real-valued times.
+
+Semi-Markov:
+
+	Markov or generator process whose holding times follow the specified distributions:
+	
+		holds: hold || [hold, ...] per state || { from: hold, "from,to": hold, ... }
+		
+	where hold = {type: "exp", mean} || {type: "gamma" || "weibull", shape, scale} || {type: "lognormal", mu, sigma}
+	(unspecified holds are exponential with the generator's exit rate or, for a markov process, with mean dt).  
+	On entering a from-state, its to-state is drawn from the markov (or generator jump chain) trans probs 
+	and the process holds the from-to hold before jumping at a real-valued time; markov self-transitions 
+	are thus renewals of the from-state.  Jump events carry the hold drawn for the entered state.  The 
+	exponential, gamma, weibull and lognormal mles of the observed holds (per from-state and from-to pair) 
+	are reported with the best (min aic) distribution.
 
 Gauss:
 
@@ -50,25 +108,225 @@ Gauss:
 		ref: reference eigenvalue 
 		dim: max pc dimension (M = T/Tc )
 		mean: mean count in observation interval T
+		
+	or derived here from the Karhunen-Loeve expansion of a covariance kernel with:
+	
+		kernel: "exp" || "gauss" || "sinc" (rect spectrum) || (tau, Tc) => correlation
+		Tc: coherence time
+		T: observation interval (defaults to steps*dt)
+		mean: mean count in observation interval T
+		modes: max pcs retained (0 retains those holding energy fraction of the variance)
+		energy: variance fraction retained when modes = 0
+		points: max kernel samples (the kernel is sampled at min(T/dt, points) times over T)
 
 Wiener:
 
-	Stateless process with moving 2nd moment (but stationary in 1st increments) where:
+	Stateless process with moving 2nd moment (but stationary in 1st increments) generated from 
+	independent gauss increments over each dt with:
 	
-		walks: number of walks at each time step (0 disables)
+		drift: mean rate [per dim] 
+		diffusion: variance rate [per dim]
+		dims: walk dimension
+		start: starting point [per dim]
+		barriers: [lo, hi] exit barriers [per dim] (null disables)
 		
-	This still needs a quick debug.  May need to define	false Markov parms to init it.
+	The process value is the 1st coordinate of each walk.  Drift and diffusion mles (and their standard 
+	errors) are estimated from the observed increments, and first exit times from the barriers are 
+	reported with their 1-dim analytic means and exit probs.  Generated walks also exit when their 
+	brownian bridge crosses a barrier between dt samples (an exit is timed at the end of its step); 
+	observed walks exit only at their samples.
 	
 Ornstein: 
 
-	Stateless Ornstein-Ulenbeck process with:
+	Stateless Ornstein-Ulenbeck process dX = theta (mu - X) dt + sigma dW with:
+	
+		theta: mean-reversion rate
+		mu: long-run mean [per dim]
+		sigma: volatility (or a = sigma/sqrt(2 theta) stationary std dev)
+		start: starting point [per dim] (defaults to mu)
+		
+	or multivariate dX = drift (mu - X) dt + sigma dW with:
+	
+		drift: [ [...], ... ] DxD mean-reversion matrix
+		sigma: volatility [per dim] or DxD volatility matrix
+		
+	Each dt step is generated exactly from the transition density.  The process value is the 1st
+	coordinate of each member.  Theta, mu and sigma mles (with standard errors) are fitted to each 
+	coordinate from its observed transitions.
+	
+Poisson:
+
+	Stateless point process counting the arrivals in each dt step with intensity:
+	
+		rate: constant rate [Hz] || (t) => rate || [ [t, rate], ... ] piecewise-constant profile
+		max: rate bound for thinning (required by a rate function)
+		
+	or the doubly-stochastic (Cox) process whose intensity is driven by one of the stateless processes:
+	
+		cox: { wiener: {...} } || { ornstein: {...} } || { gauss: {...} } driving process config
+		link: "exp" || "abs" || "square" || (x) => rate mapping the driving value to a rate
+		scale: rate multiplier
+		
+	Arrivals are generated by thinning (exactly within each step when the rate function stays under max, 
+	whereas a Cox intensity is held over each step) and recorded as arrive events.  The 
+	intensity profile is estimated from the arrivals with a
 	
-		theta: 0-pi
-		a: sigma/sqrt(2 theta)
+		estimator: "kernel" (gaussian kernel) || "histogram"
+		bins: estimate points over the observation interval
+		bandwidth: kernel bandwidth (null uses silverman's rule)
+		
+	which, in learning mode, uses events whose value is their arrival count (default 1).
 		
 Mixing:
 
 	Gauss mixing process with specified mu,sigma (mean, covar), or specified snr, cone, mixes, oncov, offcov
+	
+	When combined with a markov process, the K mixes become the emissions of its K hidden states.
+	
+Hmm:
+
+	Hidden markov mixing process whose trans probs, initial probs and gauss emissions are learnt
+	by baum-welch from observation-only events:
+	
+		states: number of hidden states (when not implied by markov or mixing)
+		iters: max baum-welch iterations per batch
+		tol: relative log-likelihood convergence tolerance
+		
+	Each batch fits only the observations since the last fit, warm-started from the prior fit and 
+	with the expected counts of the earlier observations carried forward (incremental EM), so the 
+	batch hmm_loglik are those of the new observations.  The fitted observations are then dropped
+	unless decode needs the whole sequences.
+		
+	With decode: true, the viterbi path and posterior state probs of each member are recorded 
+	as decode events using the configured markov mixing process (or the learnt hmm).
+
+Posterior:
+
+	Uncertainty in the trans probs and equlib probs estimated from the from-to trans counts of a 
+	K-state process, and in its mean holding times from the jumps out of and the time held in each 
+	state (gamma posteriors of the jump rates), given by:
+	
+		prior: dirichlet concentration added to each from-to count
+		level: credible interval level
+		samples: trans matrices drawn from the dirichlet posterior of each from-row
+		bootstrap: ensemble resamples (0 disables) for nonparametric std errors and intervals
+		predictive: number of posterior trans matrices reported
+		
+	The posterior means, std errors and equal-tailed credible intervals are reported in batch and
+	end events.  Posterior draws and resamples use their own rng stream (of the seed, or else seeded 
+	once from the configured rng) so they leave a seeded process unchanged.
+
+Tests:
+
+	Chi-square or G tests of the from-to trans counts of a K-state process reported in test events
+	(with statistic, degrees of freedom and p-value) at the end of the run:
+	
+		stat: "g" || "chi2" test statistic
+		markov: hypothesised trans probs (defaults to the configured markov)
+		
+	The goodness test compares the counts with the hypothesised trans probs, the markov test 
+	compares first- and second-order dependence, the stationarity test compares the counts across
+	batches, and the homogeneity test compares the counts across ensemble members.
+
+Convergence:
+
+	Analytic mixing of a markov process reported in the config event with:
+	
+		eps: total-variation distance defining the mixing time
+		powers: [n, ...] trans prob powers P^n reported
+		cap: max steps searched for the mixing time
+		
+	namely its eigen values, (absolute) spectral gap, relaxation time, mixing time (the first n where
+	max_fr TV( P^n[fr], w ) <= eps) and, when reversible, its relaxation-time bounds on the mixing time.  
+	Each batch event reports the latest point of the empirical convergence curve (TV distance of the 
+	ensemble state histogram from the equlib probs w) and the burn-in (steps before the curve first fell 
+	below eps); note that the curve cannot fall much below sqrt(K/N) for an N-member ensemble.
+
+Hitting:
+
+	First hitting (absorption) times of a markov process with:
+	
+		targets: [state, ...] target states (defaults to the absorbing states)
+		steps: max steps of the hitting time distributions
+		quantiles: [q, ...] hitting time quantile levels
+		
+	The distribution (mean, variance, quantiles, target hit probs and pmf over steps) of the time to 
+	hit the targets from each other start state is reported in the config event, and the empirical 
+	histogram of the ensemble hitting times (from their initial states) is reported beside it in 
+	the end event.
+
+Passages:
+
+	With passages: true, the from-to first passage (and, when from = to, recurrence) times of each member 
+	of a K-state process are measured from its visits to the from-state until it first reaches the to-state 
+	(one passage at a time per member and from-to pair).  Their histograms [dt] and means are reported in the 
+	end event beside the analytic_recur_times, in both generative and learning modes.  Passages
+	still open at the end are censored, so the empirical means of long passages are biased low in short runs.
+
+Ingestion:
+
+	In learning mode, learn may be an event file path or a spec:
+	
+		path: NDJSON or CSV (header row) event file read synchronously
+		stream: readable NDJSON or CSV event stream read asynchronously (pipe to a stream sink)
+		format: "ndjson" || "csv" (defaults to csv for .csv paths)
+		at: only rows with this at (or no at) are events, e.g. the "jump" events of a previous run
+		delimiter: csv column delimiter
+		
+	whose (time-ordered) rows are mapped through the keys (index, state or value, and t), grouped by
+	time and stepped.  Malformed rows (including those of a categorical process whose state is missing 
+	or not a known symbol) are skipped and reported as error events.
+
+Command line:
+
+	node randpr.js generate --config cfg.json [--out events.ndjson] [--at jump,end]
+	node randpr.js learn --config cfg.json --events events.ndjson [--format csv] [--at jump]
+	node randpr.js analyze --config cfg.json || --markov "[[pr, ...], ...]"
+	
+	generates NDJSON events (to stdout or the out file), prints the learned end stats, or prints the 
+	equilibrium, recurrence, absorption and class analysis of a markov or generator matrix.  Other 
+	--key value (or dotted --key.key value) options override the config keys; values are parsed 
+	as JSON when possible.
+
+Configuration errors:
+
+	Every problem with the config (malformed markov rows or comma-keys, generator rates, symbols that 
+	disagree with K, several process types, a semi-markov process without a jump chain, mixing mu/sigma 
+	shapes or covars that are not positive definite) is reported through cb(err), with err.errors 
+	listing each problem, or thrown when no cb is given.  A process reported through cb is left 
+	invalid: its pipe, readable and start throw err.
+
+Streaming:
+
+	The readable (also used by an async pipe and by for await) advances the process only while its 
+	reader accepts events, in both modes: the event file and stream learners wait on ran.paused(resume), 
+	as should a learn function that can.  A process streams its events only once; piping or reading it 
+	again throws.  The stream holds no events itself, but memory still grows with the run: the coherence 
+	gamma keeps one number per step, and the analyses that need the whole run keep their own data (hmm 
+	observation sequences, structure learning cases, spectrum series, ornstein (x,x') pairs, poisson 
+	arrivals and semi-markov holds).
+
+Trajectory:
+
+	Ensemble state snapshots recorded as trajectory events every stride steps with:
+	
+		stride: steps between snapshots
+		encoding: "rle" (run-lengths over the members) || "delta" (changed members after a first rle snapshot)
+		
+	for a K-state process, or as value arrays for a stateless process.  RAN.decodeTrajectory(events) 
+	rebuilds the N x snapshots state matrix from the recorded events.
+
+Spectrum:
+
+	Welch power spectral density (two-sided, on a one-sided frequency axis up to the nyquist 1/(2 dt)) 
+	of the process values (or the correlation-mapped states of a K-state process) with:
+	
+		segment: segment length [dt] (the run when shorter)
+		overlap: segment overlap fraction
+		window: "hann" || "rect" segment window (rect with one segment gives the periodogram)
+		
+	For a markov process, the analytic spectrum is computed on the same axis from the eigen-decomposition
+	of its symmetrized trans probs when reversible, or from the resolvent of its trans probs otherwise.
 
 refs:
 www.statslab.cam.ac.uk/~rrw1
@@ -81,10 +339,12 @@ www.math.dartmouth.edu/~pw
 var			
 	// nodejs modules
 	STREAM = require("stream"),		// data streams
+	FS = require("fs"), 	// file system
+	ASSERT = require("assert"), 	// unit test checks
 	
 	$ = require("man");   // matrix manipulators
 
-const { EM, MVN, Copy, Each, Log } = $;
+const { EM, Copy, Each, Log } = $;
 const { sqrt, floor, round, random, cos, sin, abs, PI, log, exp, min, max} = Math;
 
 class RAN {
@@ -94,16 +354,30 @@ class RAN {
 		Copy({  // default configuration
 
 			// process parameters
-			wiener: 0,  // number of steps at each time step to create weiner / SSI process. 0 disables
+			wiener: null,  // {drift, diffusion, dims, start, barriers} brownian motion / SSI process
+			poisson: null,	// {rate, max, cox, link, scale, estimator, bins, bandwidth} poisson / cox point process
 			
 			markov: null, 	// K^2 from-to state trans probs [...] or K^2-K { states:K, index: { index: prob, ...}, ...}
+			generator: null, 	// K^2 from-to jump rates [...] (Q-matrix) of a continuous-time markov process
 				alpha: null,  // K=2 markov jump rate
 				p: null,  // K=2 markov trans probs
 			
-			gauss: null, // (t) => state method
-			gillespie: 0, // number of states to reserve
+			gauss: null, // {values, vectors, ref, dim, mean} pcs or {kernel, Tc, T, mean, modes, energy, points} to derive them
+			gillespie: null, // {species, init, reactions, tau} reaction network
 			bayes: null, // K eq state probs [....]
 			mixing: null, // {mu: [mean,...], sigma: [covar,...], dims: [dim, ....] } xyz-emmision probs
+			hmm: null, 	// {states, iters, tol} baum-welch learning of a hidden markov mixing process
+			decode: false, 	// true to viterbi decode the hidden states of a markov mixing process
+			structure: null, 	// {score, ess, maxParents, iters, states} bayes dag structure learning
+			order: 0, 	// max order m of the markov chains fitted to the observed states (0 disables)
+			semi: null, 	// {holds} semi-markov holding distributions per state or from-to pair
+			posterior: null, 	// {prior, level, samples, bootstrap, predictive} dirichlet posterior of the trans probs
+			tests: null, 	// {stat, markov} goodness, markov, stationarity and homogeneity tests of the trans counts
+			spectrum: null, 	// {segment, overlap, window} welch psd of the process values
+			convergence: null, 	// {eps, powers, cap} analytic mixing and empirical convergence of a markov process
+			hitting: null, 	// {targets, steps, quantiles} first hitting time distributions of a markov process
+			passages: false, 	// true to measure first passage and recurrence time histograms
+			trajectory: null, 	// {stride, encoding} ensemble state snapshots
 		
 			// ensemble parameters
 			
@@ -120,7 +394,11 @@ class RAN {
 			ctmode: false, 	// true=continuous, false=discrete time mode 
 			keys: null,  // event key names
 			
-			learn: null, 	// learner(supercb) calls back supercb(evs) || supercb(null,onend)
+			learn: null, 	// learner(supercb) calls back supercb(evs) || supercb(null,onend), or an event file path or {path, stream, format, at, delimiter} spec
+			
+			seed: null, 	// seed (number or string) for reproducible runs (null uses Math.random)
+			rng: null, 	// uniform [0,1) generator () => u (overrides seed)
+			substreams: false, 	// true gives each ensemble member its own rng substream
 
 			filter: function (str,ev,ran) {  // filter output event ev to store/stream str
 			/**
@@ -143,13 +421,30 @@ class RAN {
 			U1: null, 	// [N] ensemble state buffer 
 			UK: null,  // [N] ensemble state change accumulators (stateful K>0) or counts (stateless K=0)
 			UH: null, 	// [N] ensemble holding times
+			UJ: null, 	// [N] ensemble last jump times (generator)
 			UN: null, // [N x K] ensemble counts in state ( # of times U[n] in state k )
+			seqs: null, 	// [N] ensemble observation sequences (hmm or decode)
+			paths: null, 	// [N] ensemble generated state paths (decode)
+			cases: null, 	// [steps] ensemble states at each step (structure)
+			hists: null, 	// [N] ensemble last m states (order)
+			tuples: null, 	// [m+1] to-state counts keyed by the last 0 ... m states (order)
+			holds: null, 	// [K^2] from-to observed holding times (semi)
+			NM: null, 	// [N x K^2] ensemble from-to state transition counts (posterior bootstrap or tests)
+			N2: null, 	// [K^3] state transition counts given the prior state (tests)
+			U2: null, 	// [N] ensemble prior states (tests)
+			NB: null, 	// [batches x K^2] from-to state transition counts in each batch (tests)
+			series: null, 	// [N x steps] ensemble process (or correlation-mapped state) values (spectrum)
+			UP: null, 	// [N x K^2] ensemble from-to first passage start times (passages)
+			passH: null, 	// [K^2] from-to first passage time histograms (passages)
 			
 			NR: null, 	// [K^2] from-to holding (mean recurrence) times
+			recurTimes: null, 	// [K^2] analytic from-to mean first passage and recurrence times
 			abT: null, 	// [K'] absorption times K' <= K
 			abP: null,	// [K' x K-K'] absorption probabilities K' <= K
 			mleA: null, 	// [K^2] from-to state mle trans probabilities
+			mleQ: null, 	// [K^2] from-to state mle jump rates (generator)
 			mleB: null, 	// {mu,sigma} observation mixing parameters
+			mleP0: null, 	// [K] mle initial state probabilities (hmm)
 			corP: null, 	// [K^2] stat correlation probabilities
 			cumP: null,	// [K^2] from-to cummulative state transition probabilities
 			N0: null, 	// [K^2] from-to cummulative counts in to-state given starting from-state
@@ -164,6 +459,8 @@ class RAN {
 			
 			// sampling parms
 			halt: false, // default state when learning
+			error: null,	// config error that makes the process unusable
+			piped: false,	// events already piped or read (a process streams only once)
 			Tc: 0,  // coherence time >0 [dt] 
 			t: 0, 	// time [dt]
 			s: 0, 	// step count
@@ -174,11 +471,23 @@ class RAN {
 
 		if (opts) Copy(opts, this);
 		
+		var errs = configErrors( this );	// config problems (mvn generator failures are added later)
+		
+		if ( errs.length ) return configFail( errs, cb, this );
+		
+		if ( this.learn && typeof this.learn != "function" ) 	// learn from an event file or stream
+			this.learn = fileLearner( this.learn, this );
+		
 		var 
 			ran = this,
 			N = this.N, // ensemble size
 			symbols = this.symbols, // state-index map
-			keys = this.keys = Copy(this.keys || {}, { index:"n", state:"u", value: "v", class:"k", x:"x", y:"y", z:"z", t:"t" }); // event keys
+			keys = this.keys = Copy(this.keys || {}, { index:"n", state:"u", value: "v", class:"k", x:"x", y:"y", z:"z", t:"t" }), // event keys
+			seed = this.seed,
+			rng = this.rng = this.rng || ( (seed == null) ? random : prng( seed ) ),	// process rng
+			rngs = this.rngs = this.substreams 	// ensemble rng substreams
+				? $(N, (n,R) => R[n] = prng( (seed == null) ? floor( rng() * 4294967296 ) : seed, n+1 ) )
+				: null;
 
 		if ( this.alpha )  { // K-state convergent process via n = (K^2-K)/2 jump rates
 			var 
@@ -210,17 +519,94 @@ class RAN {
 			//Log("p->trP", K, trP);
 		}
 
+		if ( this.generator ) { // continuous-time K-state process from its K^2 jump rates
+			this.trans = "generator";
+			this.ctmode = true;
+			var 
+				Q = this.generator = this.generator.map( row => row.slice() ),	// balanced copy of the caller's rates
+				K = this.K = Q.length,
+				A = this.A = balanceRates( Q ),
+				cumP = Q.cumP = $(K, (fr, P) => {	// cummulative jump-chain probs
+					var rate = -Q[fr][fr];
+					P[fr] = $(K, (to, P) => {
+						P[to] = rate ? ( (to == fr) ? 0 : Q[fr][to] / rate ) : ( (to == fr) ? 1 : 0 );
+						if (to) P[to] += P[to-1];
+					});
+				}),
+				NR = this.NR = Q.recurTimes = ctmcRecurTimes(Q),  // from-to mean first passage and recurrence times
+				recurTimes = this.recurTimes = NR.map( row => row.slice() ),	// kept as NR diagonal later holds expected holding times
+				ab = this.ab = Q.absorb = ctmcAbsorb(Q),  // first absoption times, probs, and states
+				eqP = Q.eqP = ctmcEqProbs(Q);  // equlib state probs
+		}
+		
+		else
 		if ( this.markov ) { // K-state process from K^2 state trans probs in K^2 - K params
 			this.trans = "markov";
 			var 
 				trP = this.markov;
 
 			if ( trP.constructor.name == "Object" ) {
+				trP = Copy( trP, {} );	// strip states and order from a copy to leave the caller's config intact
+				
 				var
-					K = this.K = trP.states,
+					K = this.K = trP.states || this.K,
+					m = trP.order || 1,
 					P = $( [K, K], $$zero);
 
 				delete trP.states;
+				delete trP.order;
+				
+				if ( m > 1 ) {	// order-m chain conditioned on the last m states
+					var
+						dims = $(m, (i,D) => D[i] = K ),
+						M = K**m,
+						C = $( [M, K], $$zero ),
+						L = $( [M, M], $$zero ),	// lifted chain over the m-tuples
+						w = null;
+					
+					for (var frKey in trP) {
+						var 
+							frP = trP[frKey],
+							frIndex = index( frKey.split(","), dims );
+						
+						for (var toKey in frP) C[ frIndex ][ parseInt(toKey) ] = frP[toKey];
+					}
+					
+					C.$( fr => {
+						var last = floor( fr / K**(m-1) ) % K;	// most recent from-state
+						
+						C[fr][last] += 1 - C[fr].sum();
+						C[fr].$( to => L[fr][ floor( fr / K ) + to * K**(m-1) ] += C[fr][to] );
+					});
+					
+					w = ctmcEqProbs( $( [M, M], (i,j,Q) => Q[i][j] = L[i][j] - ((i == j) ? 1 : 0) ) );
+					
+					P.$( fr => {	// equlib marginal first-order trans probs
+						var wfr = 0;
+						
+						w.$( i => {
+							if ( floor( i / K**(m-1) ) % K == fr ) {
+								wfr += w[i];
+								P[fr].$( to => P[fr][to] += w[i] * C[i][to] );
+							}
+						});
+						
+						P[fr].$( to => P[fr][to] = wfr ? P[fr][to] / wfr : (fr == to) ? 1 : 0 );
+					});
+					
+					P.order = m;
+					P.dims = dims;
+					P.cond = C;
+					P.cumC = $(M, (fr, Cum) => {
+						Cum[fr] = $(K, (to, P) => {
+							P[to] = C[fr][to];
+							if (to) P[to] += P[to-1];
+						});
+					});
+					P.hist = $(N, (n,H) => H[n] = null );	// ensemble last m states
+				}
+				
+				else
 				for (var frKey in trP) {
 					var 
 						frP = trP[frKey],
@@ -233,7 +619,7 @@ class RAN {
 				}
 
 				P.$$( (fr,to) =>  {
-					if ( (fr==to) ) P[fr][to] = 1 - P[fr].sum();
+					if ( (fr==to) && !P.order ) P[fr][to] = 1 - P[fr].sum();
 				});
 				trP = this.markov = P;
 			}
@@ -247,14 +633,14 @@ class RAN {
 					});
 				}),
 				NR = this.NR = trP.recurTimes = meanRecurTimes(trP),  // from-to mean recurrence times
-				ab = trP.absorb = firstAbsorb(trP),  // first absoption times, probs, and states
-				eqP = trP.eqP = $(K, (k,P) => P[k] = 1/NR[k][k]	);  // equlib state probs
-		
-			Log(K, trP, cumP, NR, ab, eqP);
+				recurTimes = this.recurTimes = NR.map( row => row.slice() ),	// kept as NR diagonal later holds expected holding times
+				ab = this.ab = trP.absorb = firstAbsorb(trP),  // first absoption times, probs, and states
+				closed = chainClasses( trP ).classes.filter( C => C.closed ),
+				eqP = trP.eqP = ( closed.length == 1 ) ? closed[0].eq_probs.slice() : $(K, $zero);  // equlib state probs (zeros if not unique)
 		}
 		
 		else
-		if ( this.bayes ) {   // bayesian network
+		if ( this.bayes ) {   // bayesian network of N K-state nodes
 			this.trans = "bayes";
 			var 
 				bayes = this.bayes,
@@ -263,12 +649,6 @@ class RAN {
 				eqP = bayes.eqP || [0.5, 0.5],
 				K = this.K = eqP.length,
 				NR = this.NR = $( [K, K], ( fr, to , R ) => R[fr][to] = 1 ),
-				G = bayes.G = bayes.G || $(K, (fr, G) => {  // mcmc generator G is a cummulative prob
-					G[fr] = $(K, (to, G) => {
-						G[to] = eqP[to];
-						if (to) G[to] += G[to-1];
-					});
-				}), 
 				V = $(N, (i, V) => { // number verticies - change this to make well-ordered or use max cardinality to make perfect numbering
 					switch ("dumb") {
 						case "dumb": 
@@ -276,21 +656,21 @@ class RAN {
 						case "well":
 						case "maxcar":
 					}
-				}),
+				});
+			
+			V.$( i => net[ i ] = net[ i ] || [] );	// dependant nodes (parents if dag, neighbours if net)
+			
+			if ( !dag ) 	// neighbours are mutual in an undirected net
+				V.$( i => net[ i ].forEach( j => {
+					if ( net[ j ].indexOf( i ) < 0 ) net[ j ].push( i );
+				}) );
+			
+			var
 				A = this.A = $( [N,N], ( i, j, A ) => {	// define adjacency matrix
-					if (dag)		
-						deps.forEach( ( j ) => {  
-							A[ j ][ i ] = 1; A[ i ][ j ] = 0;
-						});
-					
-					else
-						deps.forEach( ( j ) => {
-							A[ j ][ i ] = A[ i ][ j ] = 1;
-						});
+					A[ i ][ j ] = ( net[ i ].indexOf( j ) >= 0 ) ? 1 : 0;
 				}),
 				dims = net.dims = $(N, ( i, D ) => {	// dims of stores
-					var deps = net[ i ] = net[ i ] || [];	// dependant nodes 
-					D[ i ] = K**deps.length;
+					D[ i ] = K**net[ i ].length;
 				}),
 				nd = this.nd = {},	// node non-decendants
 				pa = this.pa = $(N, ( i, pa ) => { //  reserve node parents
@@ -299,7 +679,6 @@ class RAN {
 				bd = this.bd = $(N, ( i, bd ) => { // reserve boundary nodes
 					bd[ i ] = new Array();
 				}),
-				cl = this.cl = {},	// reserve node closures
 				ch = this.ch = $(N, ( i, ch ) => { // reserve children nodes
 					ch[ i ] = new Array();
 				}),
@@ -307,7 +686,7 @@ class RAN {
 					var 
 						alpha_i = alpha[ i ] = {};
 					
-					net[ i ].index( "", K, ( j ) => {	// set cond priors
+					net[ i ].index( [], K, ( j ) => {	// set cond priors
 						alpha_i[ j ] = $(K, ( k, alpha_ij ) => { // set all to same priors
 							alpha_ij[ k ] = eqP[ k ];
 						});
@@ -318,22 +697,32 @@ class RAN {
 					var 
 						theta_i = theta[ i ] = {};
 					
-					net[ i ].index( "", K, ( j ) => {	// set cond priors
+					net[ i ].index( [], K, ( j ) => {	// set cond priors
 						theta_i[ j ] = $(K, ( k, theta_ij ) => { // set all to same priors
 							theta_ij[ k ] = alpha[ i ][ j ][ k ] / alpha0;
 						});
 					});
 				}),
+				cpt = net.cpt = $(N, ( i, cpt ) => { // generating cond probs from the configured theta (else the priors)
+					var 
+						cpt_i = cpt[ i ] = {},
+						given_i = (bayes.theta || {})[ i ] || {};
+					
+					net[ i ].index( [], K, ( j ) => {
+						cpt_i[ j ] = given_i[ j ] || theta[ i ][ j ].slice();
+					});
+				}),
 				count = net.count = $(N, ( i, count ) => { // allocate state counters 
 					var 
 						count_i = count[ i ] = {};
 					
-					net[ i ].index( "", K, ( j ) => {	// set cond priors
+					net[ i ].index( [], K, ( j ) => {	// set cond priors
 						count_i[ j ] = $(K, ( k, count_ij ) => { // set all to same priors
 							count_ij[ k ] = 0;
 						});
 					});
-				});
+				}),
+				order = bayes.order = dag ? topoOrder( net, N ) : V;	// ancestral (dag) or gibbs sweep (net) order
 
 			if ( dag )
 				V.$( ( i ) => {
@@ -347,48 +736,184 @@ class RAN {
 					V.$( ( j ) => {
 						if ( A[ j ][ i ] ) 
 							bd[ i ].push( j );
-						
-						else {
-							var Pci = P[ i ] = {};
-							Pci[ j.join(",") ] = cut( V, cl[ i ] ).join(",");
-						}
 					});
 				});
-			
-			Log("bayes", N, K, dims, alpha, theta, count, G);			
 		}
 		
 		else
-		if ( this.gillespie) {	// gillespie holding time model
+		if ( this.gillespie) {	// gillespie reaction network counting reactions
 			this.trans = "gillespie";
 			
 			var
-				K = this.gillespie.states,
-				P = this.gillespie.P = $(K, $zero),
-				NR = this.NR = $( [K, K], ( fr, to , R ) => R[fr][to] = 1 );
+				gill = this.gillespie = Copy( this.gillespie, {	// defaults
+					species: [],	// species names
+					init: [],		// initial counts
+					reactions: [],	// [ {reactants, products, rate}, ... ]
+					tau: 0			// leap time (0 for exact events)
+				}),
+				species = gill.species,
+				S = species.length,
+				init = gill.init,
+				reactions = gill.reactions,
+				stoich = (counts) => $(S, (s,V) => V[s] = counts ? counts[ species[s] ] || counts[s] || 0 : 0 ),
+				X0 = gill.X0 = stoich( init ),
+				nu = gill.nu = reactions.map( react => {	// reactant numbers and net species change of each reaction
+					var 
+						inp = react.inp = stoich( react.reactants ),
+						out = stoich( react.products );
+					
+					return $(S, (s,nu) => nu[s] = out[s] - inp[s] );
+				}),
+				X = gill.X = $(N, (n,X) => X[n] = X0.slice() ),	// ensemble species counts
+				fires = gill.fires = $(N, (n,F) => F[n] = $(reactions.length, $zero) );	// ensemble reaction counts
 		}
 
 		else
 		if ( this.gauss ) {	// stateless gaussian process
 			this.trans = "gauss";
+			
+			if ( this.gauss.kernel ) { // derive pcs from the KL expansion of the covariance kernel
+				var gauss = this.gauss = Copy( this.gauss, {	// defaults
+					kernel: "exp",	// covariance kernel
+					Tc: 1,			// coherence time
+					T: this.steps * this.dt,	// observation interval
+					mean: 1,		// mean count in T
+					modes: 0,		// max pcs (0 uses energy)
+					energy: 0.99,	// variance fraction retained
+					points: 256		// max kernel samples in the eigen problem
+				});
+				
+				Copy( klExpand( gauss, this.dt ), gauss );
+			}
 		}
 		
 		else
 		if ( this.wiener ) {	// stateless wiener process
 			this.trans = "wiener";
-			this.wiener.gen = MVN( [0], [[1]] );
-			Trace("wiener process experimental");
+			var
+				wiener = this.wiener = Copy( this.wiener, {	// defaults
+					drift: 0,		// mean rate [per dim]
+					diffusion: 1,	// variance rate [per dim]
+					dims: 1,		// walk dimension
+					start: 0,		// starting point [per dim]
+					barriers: null	// [lo, hi] exit barriers [per dim]
+				}),
+				D = wiener.dims,
+				vec = x => $(D, (i,V) => V[i] = (x.constructor == Array) ? x[i] : x ),
+				x0 = wiener.x0 = vec( wiener.start ),
+				bars = wiener.bars = wiener.barriers 	// [lo, hi] per dim
+					? $(D, (i,B) => B[i] = (wiener.barriers[0].constructor == Array) ? wiener.barriers[i] : wiener.barriers )
+					: null;
+			
+			wiener.mu = vec( wiener.drift );
+			wiener.sig2 = vec( wiener.diffusion );
+			wiener.X = $(N, (n,X) => X[n] = x0.slice() );	// ensemble positions
+			wiener.last = $(N, (n,L) => L[n] = this.learn ? null : { t: 0, x: x0.slice() } );	// last observed positions
+			wiener.exit = $(N, (n,E) => E[n] = null );	// first exits {t, dim, side}
+			wiener.incs = { M: 0, dt: 0, dx: $(D, $zero), dx2: $(D, $zero) };	// increment sufficient stats
 		}
 		
 		else
 		if ( this.ornstein ) {	// stateless ornstein-ulenbeck process
 			this.trans = "ornstein";
-			this.ornstein.stack = $(this.steps, $zero);
+			var
+				ou = this.ornstein = Copy( this.ornstein, {	// defaults
+					theta: 1,		// mean-reversion rate
+					mu: 0,			// long-run mean [per dim]
+					sigma: null,	// volatility [per dim] or matrix
+					a: null,		// stationary std dev sigma / sqrt(2 theta) when sigma unspecified
+					drift: null,	// DxD mean-reversion matrix
+					dims: 1,		// dimension when no drift matrix
+					start: null		// starting point [per dim]
+				}),
+				D = ou.drift ? ou.drift.length : ou.dims,
+				vec = x => $(D, (i,V) => V[i] = (x.constructor == Array) ? x[i] : x ),
+				vol = ( ou.sigma == null ) ? ( (ou.a == null) ? 1 : ou.a * sqrt( 2 * ou.theta ) ) : ou.sigma,
+				volS = ( vol.constructor == Array && vol[0].constructor == Array ) 
+					? vol 
+					: $( [D,D], (i,j,S) => S[i][j] = (i == j) ? vec( vol )[i] : 0 ),
+				exact = ouDiscretize( 
+					ou.drift || $( [D,D], (i,j,B) => B[i][j] = (i == j) ? ou.theta : 0 ), 
+					$( [D,D], (i,j,SS) => {	// covar rate sigma sigma'
+						SS[i][j] = 0;
+						for (var k=0; k<D; k++) SS[i][j] += volS[i][k] * volS[j][k];
+					}), 
+					this.dt ),
+				x0 = ou.x0 = vec( (ou.start == null) ? ou.mu : ou.start );
+			
+			ou.mu0 = vec( ou.mu );
+			ou.Phi = exact.Phi;		// transition matrix exp( -drift dt )
+			ou.noise = mvn( $(D, $zero), exact.Q, rng );		// transition noise with covar Q
+			ou.X = $(N, (n,X) => X[n] = x0.slice() );	// ensemble positions
+			ou.last = $(N, (n,L) => L[n] = this.learn ? null : { t: 0, x: x0.slice() } );	// last observed positions
+			ou.pairs = $(D, (i,P) => P[i] = [] );	// observed {x, y, dt} transitions per dim
 		}
 		
 		else
-		if ( this.mixing ) {	// gauss mixing process
-			this.trans = "mixing";
+		if ( this.poisson ) {	// stateless poisson point process
+			this.trans = "poisson";
+			var
+				pp = this.poisson = Copy( this.poisson, {	// defaults
+					rate: 1,		// constant rate, rate function or piecewise [ [t, rate], ... ] profile
+					max: null,		// rate bound required to thin a rate function
+					cox: null,		// driving stateless process config
+					link: "exp",	// driving value to rate map
+					scale: 1,		// rate multiplier
+					estimator: "kernel",	// intensity estimator
+					bins: 20,		// estimate points
+					bandwidth: null	// kernel bandwidth
+				}),
+				rate = pp.rate,
+				links = {
+					exp: x => exp(x),
+					abs: x => abs(x),
+					square: x => x*x
+				};
+			
+			if ( typeof rate == "function" ) {
+				pp.lambda = t => pp.scale * rate(t);
+				pp.bound = (t0, t1) => pp.max;
+			}
+			
+			else
+			if ( rate.constructor == Array ) {	// piecewise profile
+				var pieces = rate.slice().sort( (a,b) => a[0] - b[0] );
+				pp.lambda = t => {
+					for (var k=pieces.length-1; k>=0; k--) if ( pieces[k][0] <= t ) return pp.scale * pieces[k][1];
+					return 0;
+				};
+				pp.bound = (t0, t1) => {
+					var bound = pp.lambda( t0 );
+					pieces.forEach( piece => { if ( piece[0] > t0 && piece[0] < t1 ) bound = max( bound, pp.scale * piece[1] ); } );
+					return bound;
+				};
+			}
+			
+			else {
+				pp.lambda = t => pp.scale * rate;
+				pp.bound = (t0, t1) => pp.scale * rate;
+			}
+			
+			if ( pp.cox ) {
+				var link = (typeof pp.link == "function") ? pp.link : links[ pp.link ] || links.exp;
+				
+				pp.lambda = null;
+				pp.rate = x => pp.scale * max( link(x), 0 );
+				if ( !this.learn ) 
+					pp.driver = new RAN( Copy( pp.cox, {	// driving process sharing the ensemble and rng
+						N: N,
+						dt: this.dt,
+						steps: this.steps,
+						rng: rng,
+						filter: function () {}
+					}) );
+			}
+			
+			pp.arrivals = [];	// observed {t, k} arrivals
+		}
+		
+		if ( this.mixing ) {	// gauss mixing process (stand-alone or as the emissions of a markov process)
+			if ( !this.trans ) this.trans = "mixing";
 			var emP = this.mixing;
 			
 			if ( emP.dims ) {	// working on a state grid
@@ -399,7 +924,8 @@ class RAN {
 					weights = emP.weights,
 					D = dims.length,
 					grid = emP.grid = perms( [], dims, []),  // state grid	
-					gen = emP.gen = $(K, (k,gen) => { // gauss mixing (mu,sigma) parms 
+					parm = emP.parm = $(K),	// gauss mixing (mu,sigma) parms
+					gen = emP.gen = $(K, (k,gen) => { // gauss mixing generators
 						var 
 							n = 0,
 
@@ -408,7 +934,7 @@ class RAN {
 							),
 
 							L = $( [D,D], (i,j, L) => 	// lower trianular matrixfs with real, positive diagonal
-								L[i][j] = (i <= j ) ? random() : 0
+								L[i][j] = (i <= j ) ? rng() : 0
 							), 
 
 							sigma = $( [D,D], (i,j, A) => { // hermitian pos-def matrix via cholesky decomp
@@ -419,10 +945,11 @@ class RAN {
 								A[i][j] = dot * weights[i] * weights[j]
 							});
 
-						gen[k] = MVN( mu, sigma );
+						parm[k] = { mu: mu, sigma: sigma };
+						gen[k] = mvn( mu, sigma, rng );
 					});
 				
-				this.K = K;
+				this.K = this.K || K;
 			}
 			
 			else 
@@ -430,9 +957,9 @@ class RAN {
 				var
 					mu = emP.mu,	// mean 
 					sigma = emP.sigma || emP.cov,		// covar matricies
-					K = this.K = mu.length,		// #mixes, dim(mu[k]) = D = vector dim
+					K = this.K = this.K || mu.length,		// #mixes, dim(mu[k]) = D = vector dim
 					parm = emP.parm = $(K, (k,p) => p[k] = {mu: mu[k], sigma: sigma[k]} ),
-					gen = emP.gen = $(K, (k,g) => g[k] = MVN( parm[k].mu, parm[k].sigma ) );
+					gen = emP.gen = $(K, (k,g) => g[k] = mvn( parm[k].mu, parm[k].sigma, rng ) );
 			}
 			
 			else  { // derived [(mean,sigma), ....] using cholesky decomp
@@ -462,9 +989,8 @@ class RAN {
 								gen: $(K),
 								parm: $(K)
 							},
-							mu0 = $.multiply( $.randRot(N), mu );		// randomly rotated mu
+							mu0 = $.multiply( randRot(N, rng), mu );		// randomly rotated mu
 
-						const {random,cos,sin,PI} = Math;
 						const {gen,parm} = rvg;
 						
 						gen.$( n => {
@@ -474,11 +1000,11 @@ class RAN {
 										N: N,
 										mu0: $.list($.squeeze(mu0)),
 										theta: 	cone*(PI/180),
-										phi: 2*random() - 1
+										phi: 2*rng() - 1,
+										V: $.matrix( $( [N,3], (i,j,V) => V[i][j] = rng() ) )
 									},
 									vm3 = `
 a = sqrt( mu0 * mu0 ) * tan(theta);
-V = rand(N,3);
 V[:,1] = mu0;
 U = orthoNorm(V);
 u = squeeze( U[:,2] );
@@ -503,15 +1029,15 @@ muG = a * [ cos(thetaG), sin(thetaG) ];
 							
 							else  // completely random
 								parm[n] = {
-									mu: $.list( $.squeeze( n ? $.multiply( $.randRot(N), mu0 ) : mu0  )),		// mean
+									mu: $.list( $.squeeze( n ? $.multiply( randRot(N, rng), mu0 ) : mu0  )),		// mean
 									sigma: $.list( sigma )		//. covar
 								};
 							
 							try {
-								gen[n] = MVN( parm[n].mu, parm[n].sigma );
+								gen[n] = mvn( parm[n].mu, parm[n].sigma, rng );
 							}
 							catch (err) {
-								Trace("invalid MVN parameters");
+								errs.push( `mixing ${n}: invalid mvn parameters (${err.message})` );
 							}
 						});
 						return rvg;
@@ -534,15 +1060,7 @@ snr0 = norm(mu)/sqrt(sum(diag(sigma)));
 				
 				const {mixes,dim,sigma,D,L,rvg,snr,cone,g} = Copy( $( decomp, ctx), emP );
 				
-				Log({
-					cone: cone, 
-					mixes: mixes, 
-					snr: snr,
-					gain: g,
-					rvg: rvg
-				});
-				
-				var K = this.K = mixes;
+				var K = this.K = this.K || mixes;
 				emP.gen = rvg.gen;
 				emP.parm = rvg.parm;
 				// Log("gen snr check", snr0);
@@ -553,6 +1071,126 @@ snr0 = norm(mu)/sqrt(sum(diag(sigma)));
 			
 			emP.obs = $(N);		// reserve observations
 		}
+		
+		if ( this.hmm ) {	// hidden markov process learnt by baum-welch
+			var hmm = this.hmm = Copy( this.hmm, {	// defaults
+				states: 0, 	// number of hidden states when not implied by markov or mixing
+				iters: 50,		// max baum-welch iterations per batch
+				tol: 1e-6 		// relative log-likelihood convergence tolerance
+			});
+			
+			this.K = this.K || hmm.states;
+			hmm.fit = null;		// {A, pi, mu, sigma} estimates
+			hmm.stats = null;	// expected counts of the fitted observations
+			hmm.loglik = [];		// per-iteration log-likelihoods
+			hmm.held = $(N, $zero);	// fitted observations still held for decoding
+			hmm.begun = $(N, (n,B) => B[n] = false );	// member observations fitted
+		}
+		
+		if ( this.hmm || this.decode ) {	// reserve observation sequences and state paths
+			this.seqs = $(N, (n,O) => O[n] = [] );
+			this.paths = $(N, (n,P) => P[n] = [] );
+		}
+		
+		if ( this.structure ) {	// learn the dag of the N ensemble nodes
+			var struct = this.structure = Copy( this.structure, {	// defaults
+				score: "bic",	// bic || bdeu family score
+				ess: 1,			// bdeu equivalent sample size
+				maxParents: 3,	// max parents per node
+				iters: 1000,	// max hill-climbing moves
+				states: 2		// node states when not implied
+			});
+			
+			this.K = this.K || struct.states;
+			this.cases = [];
+		}
+		
+		if ( this.semi ) {	// semi-markov holding distributions on the markov or generator jump chain
+			var 
+				semi = this.semi = Copy( this.semi, {	// defaults
+					holds: null		// hold, [hold, ...] per state, or { from: hold, "from,to": hold, ... }
+				}),
+				holds = semi.holds || {},
+				Q = this.generator,
+				K = this.K;
+			
+			this.trans = "semi";
+			this.ctmode = true;
+			
+			semi.cumP = (Q || this.markov || {}).cumP;	// jump chain
+			semi.next = $(N, (n,X) => X[n] = null );	// ensemble next states
+			semi.dists = $( [K,K], (fr,to,D) => 	// from-to holding distributions
+				D[fr][to] = ( holds.type ? holds : holds[ fr+","+to ] || holds[ fr ] ) 
+					|| { type: "exp", mean: Q ? ( Q[fr][fr] ? -1/Q[fr][fr] : Infinity ) : this.dt } 
+			);
+		}
+		
+		if ( this.posterior ) {	// dirichlet posterior of the trans probs
+			this.posterior = Copy( this.posterior, {	// defaults
+				prior: 1,		// dirichlet concentration per from-to count
+				level: 0.95,	// credible interval level
+				samples: 200,	// posterior trans matrix draws
+				bootstrap: 0,	// ensemble resamples (0 disables)
+				predictive: 0	// posterior trans matrices reported
+			});
+			
+			this.posterior.rng = prng( (seed == null) ? floor( rng() * 4294967296 ) : seed, "posterior" );	// draws apart from the process rng
+		}
+		
+		if ( this.tests ) 	// tests of the trans counts
+			this.tests = Copy( this.tests, {	// defaults
+				stat: "g",		// g || chi2 statistic
+				markov: null	// hypothesised trans probs
+			});
+		
+		if ( this.convergence && this.markov ) {	// analytic mixing and empirical convergence
+			var conv = this.convergence = Copy( this.convergence, {	// defaults
+				eps: 0.25,		// TV distance defining the mixing time
+				powers: [],		// trans prob powers reported
+				cap: 1000		// max steps searched for the mixing time
+			});
+			
+			conv.mix = markovMixing( this.markov, conv.eps, conv.cap );
+			conv.tv = null;		// TV distance of the ensemble histogram from the equlib probs at the last step
+			conv.burn = null;	// steps before the tv first fell below eps
+		}
+		
+		if ( this.hitting && this.markov ) {	// first hitting time distributions
+			var 
+				trP = this.markov,
+				hit = this.hitting = Copy( this.hitting, {	// defaults
+					targets: null,	// target states (null for the absorbing states)
+					steps: 100,		// max steps of the distributions
+					quantiles: [0.5, 0.9, 0.99]	// quantile levels
+				}),
+				targets = hit.targets || trP.map( (row,k) => k ).filter( k => trP[k][k] == 1 );
+			
+			hit.isTarget = $(trP.length, (k,T) => T[k] = targets.indexOf(k) >= 0 );
+			hit.analytic = hitTimes( trP, targets, hit.steps, hit.quantiles );
+			hit.first = $(N, (n,F) => F[n] = null );	// ensemble first hitting steps
+		}
+		
+		if ( this.trajectory ) 	// ensemble state snapshots
+			this.trajectory = Copy( this.trajectory, {	// defaults
+				stride: 1,		// steps between snapshots
+				encoding: "rle",	// rle || delta encoding of categorical states
+				last: null		// last snapshot (delta)
+			});
+		
+		if ( this.spectrum ) {	// welch psd of the process values
+			this.spectrum = Copy( this.spectrum, {	// defaults
+				segment: 64,	// segment length [dt]
+				overlap: 0.5,	// segment overlap fraction
+				window: "hann"	// segment window
+			});
+			
+			this.series = $(N, (n,X) => X[n] = [] );
+		}
+		
+		if ( this.order ) {	// fit markov chains of orders 0 ... m to the observed states
+			this.hists = $(N, (n,H) => H[n] = [] );
+			this.tuples = $(this.order+1, (j,T) => T[j] = {} );
+		}
 
 		// define our state symbole
 		
@@ -598,15 +1236,6 @@ snr0 = norm(mu)/sqrt(sum(diag(sigma)));
 					map[k++] = -a;
 				}
 
-		Log({
-			ensemble: N,
-			keys: keys,
-			states: K, 
-			syms: symbols, 
-			xmap: map,
-			steps: this.steps		
-		});	
-
 		// allocate ensemble vars and state counters
 		
 		var 
@@ -614,8 +1243,16 @@ snr0 = norm(mu)/sqrt(sum(diag(sigma)));
 			UK = this.UK = $(N, $zero),
 			N1 = this.N1 = $( [K,K], $$zero),	
 			mleA = this.mleA = $( [K,K], $$zero), 
+			mleQ = this.mleQ = $( [K,K], $$zero), 
 			cumH = this.cumH = $( [K,K], $$zero),
 			cumN = this.cumN = $( [K,K], $$zero),
+			holds = this.holds = this.semi ? $( [K,K], (fr,to,H) => H[fr][to] = [] ) : null,
+			NM = this.NM = ( ( this.posterior && this.posterior.bootstrap ) || this.tests ) ? $(N, (n,M) => M[n] = $( [K,K], $$zero) ) : null,
+			N2 = this.N2 = this.tests ? $( [K,K], (a,b,N2) => N2[a][b] = $(K, $zero) ) : null,
+			U2 = this.U2 = this.tests ? $(N, (n,U2) => U2[n] = -1 ) : null,
+			NB = this.NB = this.tests ? [] : null,
+			UP = this.UP = this.passages ? $(N, (n,UP) => UP[n] = $( [K,K], (fr,to,S) => S[fr][to] = null ) ) : null,
+			passH = this.passH = this.passages ? $( [K,K], (fr,to,H) => H[fr][to] = [] ) : null,
 			mleR = this.mleR = $( [K,K] ),
 			err = this.err = 1,
 			corP = this.corP = $( [K,K] ),
@@ -625,9 +1262,9 @@ snr0 = norm(mu)/sqrt(sum(diag(sigma)));
 			Np = p * N,
 			N0 = this.N0 = $( [K,K],  (fr,to,N0) => N0[fr][to] = (fr == to) ? Np : 0 ),
 			UH = this.UH = $(N),
+			UJ = this.UJ = $(N, $zero),
 			U = this.U = $(N),
 			U0 = this.U0 = $(N),
-			ctmode = this.ctmode,
 			UN = this.UN = $( [N, K], $$zero);
 		
 		this.t = this.s = this.samples = 0;  // initialize process counters
@@ -639,6 +1276,14 @@ snr0 = norm(mu)/sqrt(sum(diag(sigma)));
 		
 		else
 		if (K) { // initialize K-state process
+			if (this.generator) 	// init continuous-time markov process with time to first jump
+				U.$( n => {
+					var fr = U0[ n ] = U[ n ] = floor( (rngs ? rngs[n] : rng)() * K );
+					UH[ n ] = A[fr][fr] ? expdev( -1/A[fr][fr], rngs ? rngs[n] : rng ) : Infinity;
+					UN[ n ][ fr ] = 1;
+				});
+			
+			else
 			if (this.markov) {	// init markov process
 				if ( K == 2) { // special 2-state process
 					var R01=NR[0][1], R10=NR[1][0];
@@ -646,21 +1291,21 @@ snr0 = norm(mu)/sqrt(sum(diag(sigma)));
 					U.$( n => {
 						if ( n < Np ) {
 							var fr = U0[n] = U[n] = 1;
-							UH[n] = NR[fr][fr] = ctmode ? expdev(-1/A[fr][fr]) : 0;
+							UH[n] = NR[fr][fr] = 0;
 						}
 
 						else {
 							var fr = U0[n] = U[n] = 0;
-							UH[n] = NR[fr][fr] = ctmode ? expdev(-1/A[fr][fr]) : 0;
+							UH[n] = NR[fr][fr] = 0;
 						}
 					});
 				}
 
 				else // general K-state process
 					U.$( n => {
-						var fr = floor(random() * K);
+						var fr = floor( (rngs ? rngs[n] : rng)() * K );
 						U0[ n ] = U[n] = fr; 
-						UH[ n ] = NR[fr][fr] = ctmode ? expdev(-1/A[fr][fr]) : 0;
+						UH[ n ] = NR[fr][fr] = 0;	// discrete-time jump chain (semi holds are drawn on the first step)
 						UN[ n ][ fr ] = 1;
 					}); 
 			}
@@ -670,12 +1315,16 @@ snr0 = norm(mu)/sqrt(sum(diag(sigma)));
 		}
 		
 		else	// init stateless process
-			U.$( n => { UH[n] = 0; U0[n] = U[n] = 0; } );
+			U.$( n => { UH[n] = 0; U0[n] = U[n] = this.wiener ? this.wiener.x0[0] : this.ornstein ? this.ornstein.x0[0] : 0; } );
 		
 		//Log("UH", UH);
 
 		this.gamma = $(this.steps, $zero);
 		
+		if ( errs.length ) 
+			configFail( errs, cb, this );
+		
+		else
 		if (cb) cb(null);
 	}
 	
@@ -713,1444 +1362,5245 @@ snr0 = norm(mu)/sqrt(sum(diag(sigma)));
 		});
 	}
 	
-	condProbs( ) {	// estimate network conditional probs from Directlet priors
+	condProbs( ) {	// estimate network conditional probs from node counts and Directlet priors
 		var 
-			K = this.K,
 			U = this.U,
-			UN = this.UN,
 			net = this.net,		
-			dims = net.dims,
 			alpha = net.alpha,
 			theta = net.theta,
 			count = net.count;
 
 		U.$( i => {
-			var 
-				j = net[ i ].index( U ),
-				counts = count[ i ][ j ],
-				thetas = theta[ i ] [ j ],
-				alphas = alpha[ i ] [ j ],
-				Ucounts = UN[ i ];
-
-			Ucounts.$( k => {
-				counts[ k ] += Ucounts[ k ];
-			});
-
-			var
-				count0 = counts.sum(),
-				alpha0 = alphas.sum();
-
-			Ucounts.$( k => {
-				thetas[ k ] = ( counts[ k ] + alphas[ k ] ) / ( count0 + alpha0 );
-			});
+			for (var j in count[ i ]) {	// each parent (or neighbour) state
+				var 
+					counts = count[ i ][ j ],
+					thetas = theta[ i ] [ j ],
+					alphas = alpha[ i ] [ j ],
+					count0 = counts.sum(),
+					alpha0 = alphas.sum();
+
+				counts.$( k => {
+					thetas[ k ] = ( counts[ k ] + alphas[ k ] ) / ( count0 + alpha0 );
+				});
+			}
 		});
 	}
 
-	holdTimes( ) {	// mle hold times
+	holdTimes( ) {	// mle hold times and jump rates
 		var
 			cumH = this.cumH,
 			cumN = this.cumN,
-			mleR = this.mleR;
+			mleR = this.mleR,
+			mleQ = this.mleQ;
 		
 		mleR.$( fr => {   // estimate jump rates using cummulative UH[fr][to] and N[fr][to] jump times and counts
 			mleR[fr].$( to => {
 				mleR[fr][to] = (fr == to) ? 0 : cumH[fr][to] / cumN[fr][to];
 			});
 		});
-	}
-	
-	transProbs( ) {	// mle transition probs
-		var
-			N1 = this.N1,
-			mleA = this.mleA;
 		
-		N1.$( fr => {  // transition prob mleA using the 1-step state transition counts
-			N1[fr].sum( sum => {
-				mleA[fr].$( to => {
-					mleA[fr][to] = N1[fr][to] / sum;
-					//Log(fr,to,Nfr[to], sum);
-				});
+		mleQ.$( fr => {	// generator mle q[fr][to] = N[fr][to] / total time held in fr
+			var held = cumH[fr].sum();
+			
+			mleQ[fr].$( to => {
+				mleQ[fr][to] = ( (fr == to) || !held ) ? 0 : cumN[fr][to] / held;
 			});
+			mleQ[fr][fr] = -mleQ[fr].sum();
 		});
-	}		
+	}
 	
-	step (evs, cb) {  // advance process forward one step (with events evs if in learning mode)
+	holdFits( ) {	// exponential, gamma, weibull and lognormal mles of the observed holds per from-state and from-to pair
+		var holds = this.holds;
 		
-		function draw( P ) { // draw random state with cumulative prob P
-			var to = 0, K = P.length;
-
-			for (var u = random(); to < K && P[to] <= u; to++) ;
-			return (to == K) ? to-1 : to;
-		}
-
+		return {
+			states: holds.map( H => holdFit( [].concat( ...H ) ) ),
+			pairs: holds.map( H => H.map( x => holdFit( x ) ) )
+		};
+	}
+	
+	hmmLearn( final ) {	// baum-welch mles of hidden trans probs, initial probs and gauss emissions from the observations since the last fit; returns emission mles
 		var 
-			ran = this,
-			UH = this.UH, NR = this.NR, mleA = this.mleA,
-			
-			UK = this.UK, U1 = this.U1, U = this.U, U0 = this.U0, UN = this.UN,
-			N1 = this.N1, N0 = this.N0,
-			cumH = this.cumH, cumN = this.cumN, A = this.A, 
+			K = this.K,
+			hmm = this.hmm,
+			seqs = this.seqs,
+			pending = seqs.map( (seq,n) => seq.slice( hmm.held[n] ) ),
+			fed = pending.map( (seq,n) => n ).filter( n => pending[n].length );
+		
+		if ( fed.length && ( final || fed.some( n => pending[n].length > 1 ) ) ) {	// wait for some transitions before fitting
+			var 
+				obs = fed.map( n => pending[n] ),
+				fit = hmm.fit = hmm.fit || hmmInit( obs, K, this.rng ),	// warm start from prior batch
+				res = baumWelch( obs, fed.map( n => !hmm.begun[n] ), fit, hmm.iters, hmm.tol, hmm.stats );
 			
-			symbols = this.symbols, keys = this.keys, emP = this.mixing, 
-			K = this.K, t = this.t, N = this.N, s=this.s, dt = this.dt,
+			hmm.loglik = res.logs;
+			if ( res.stats ) hmm.stats = hmm.stats ? hmmAdd( hmm.stats, res.stats ) : res.stats;
 			
-			transitions = {
-				// homogeneous stateful process
-
-				mixing: function ( t, u ) { 
-					return u;
-				},
-				
-				markov: function ( t, u ) {  // toState via trans probs
-					var 
-						markov = ran.markov,
-						cumP = markov.cumP,
-						fr = u,
-						to = draw( cumP[fr] );
-
-					return to;
-				},
-
-				// inhomogeneous stateful process
-
-				gillespie: function ( t, u ) {  // toState via trans probs computed on holding times
-					var 
-						gillespie = ran.gillespie,
-						cumP = gillespie.P,
-						fr = u,
-						R0 = NR[fr], 
-						K = cumP.length;
-
-					cumP.$( (to, P) => {
-						P[to] = (fr==to) ? 0 : NR[to] / R0;
-						if (to) P[to] += P[to-1];
-					});
-
-					var P0 = cumP[K-1];
-					cumP.$( (to,P) => P[to] /= P0 );
-
-					return draw( cumP[fr] );
-				},
-
-				bayes: function ( t, u ) {  // toState using metropolis-hastings (or mcmc) with generator G
-					var 
-						bayes = ran.bayes,
-						P = bayes.eqP,
-						G = bayes.G,
-						fr = u,
-						toG = G[fr], 
-						to = draw(toG),
-						frG = G[to],
-						Ap = P[to] / P[fr],
-						Ag = frG[to] / toG[fr],
-						accept = min(1 , Ap * Ag), // acceptance criteria
-						u = random();
-
-					//if (t == 0) Log(">>>>>>>>>>>Ginit", t, G, P, accept);
-					return (u <= accept) ?  to : fr;
-				},
-
-				// stateless process
-
-				gauss: function ( t, u ) {
-					var
-						gauss = ran.gauss,
-						vals = gauss.values,	// pc eigen values  [unitless]
-						vecs = gauss.vectors,	// pc eigen values	[sqrt Hz]
-						ref = gauss.ref,	// ref eigenvalue
-						N = vals.length, // number of eigenvalues being used
-						dim = gauss.dim,	// max pc dim = observation interval
-						mean = gauss.mean;  // mean events over sample time
-
-					if ( t >= dim ) // KL expansion exhausted
-						return mean;	// could return negbin dev but good to know it is no longer updating
-
-					else {	// use KL expansion to generate count sample from arrivial rate process 
-						var
-							B = $.matrix( $(N, (n,B) => {  // generate KL coefficients [events]
-								var 
-									Bmod = sqrt( expdev( mean * vals[n] / ref ) ),  
-									Barg = random() * PI;
-
-								//if (t == 0)  Log( t , n , N, vals[n] / ref , mean, Bmod);
-								B[n] = $.complex( Bmod * cos(Barg), Bmod * sin(Barg) );  
-							}) ),
-							V = $.matrix( $(N, (n,V) => {  // get KL eigen vector at time t [sqrt Hz]
-								V[n] = vecs[n][t];  // t index = 0:N samples vectors at t = -T/2 : T/2
-							}) ),
-							A = $.dot( B, V),  // complex analytic function representing event rate process [sqrt Hz]
-							lambda = $.abs(A)**2,  // event rate process [Hz]
-							k = lambda * dt;  // [events]
-
-						//if (t == 0 ) Log("gauss", t, N, dim, mean, k, ref, A);
-						return k;
-					}
-				},
-
-				wiener: function ( t, u ) {
-					var 
-						wiener = ran.wiener,
-						M = wiener.walks,
-						nrv = wiener.gen.sample;
-
-					for (var j=1, walks=floor(M*t); j<=walks; j++) u += nrv()[0];
-
-					return u / sqrt(M);
-				},
-
-				ornstein: function ( t, u ) {
-					var 
-						ornstein = ran.ornstein,
-						theta = ornstein.theta,
-						a = ornstein.a,  // a = sigma / sqrt(2*theta)
-						stack = ornstein.stack,
-						Et = exp(-theta*t),
-						Et2 = exp(2*theta*t),
-						Wt = stack[ floor(Et2 - 1) ] || 0;
-
-					stack.push( Wt );
-
-					return a * Et * Wt;	
-				}				
-			},
-
-			trans = transitions[ ran.trans ];
-				
-		U.$( n => U1[n] = U[n] );  // hold current states/values
+			fed.forEach( n => {
+				hmm.begun[n] = true;
+				if ( this.decode ) 
+					hmm.held[n] = seqs[n].length;
+				else
+					seqs[n].length = 0;
+			});
+		}
 		
-		if (evs) { // in learning mode 
-			/*
-			if ( !t ) { // initialize states at t=0
-				ran.gamma[0] = 1;  // force
-				evs.forEach( ev => {
-					var n = ev[keys.index];		// ensemble index
-					U[ n ] = symbols[ev[keys.state]] || 0;  // state (0 if hidden)
-				});
-				U.$( n => {
-					U0[n] = U1[n] = U[n];		// initialize states
-					UK[n] = -1;  // force initial jump counter to 0
-				}); 
-			} */
-
-			// latch (assume time-ordered) events to ensemble
-			
-			t = this.t = evs[0].t;	
-			
-			if (K) // categorical process so latch states
-				evs.forEach(ev => {	// set states (if supervised) or symbols[0] (if hidden)
-					U[ ev[keys.index] || 0 ] = symbols[ ev[keys.value] || 0 ];
-				});
+		if ( hmm.stats ) {
+			var 
+				w = hmm.stats.w,
+				sum0 = w.reduce( (sum,w) => sum + w, 0 );
 			
-			else // stateless process so latch values
-				evs.forEach(ev => {  // set values (if supervised) or 0 (if hidden)
-					U[ ev[keys.index] || 0 ] = ev[keys.value] || 0;
-				});				
-		}
-
-		else  { // in generative mode
-			U.$( n => {
-				U[ n ] = trans( t , U[n] );
+			this.mleA = hmm.fit.A.map( row => row.slice() );	// copies as transProbs refills mleA in place
+			this.mleP0 = hmm.fit.pi.slice();
+			this.mleB = $(K, (k,B) => B[k] = {
+				weight: w[k] / sum0,
+				mu: hmm.fit.mu[k],
+				sigma: hmm.fit.sigma[k]
 			});
 		}
 		
-		// Log(t, U.join(" "));
+		return this.mleB;
+	}
+	
+	decodeStates( ) {	// record viterbi paths and posterior state probs of each member; returns decoding accuracy when generated
+		var 
+			ran = this,
+			K = this.K,
+			U0 = this.U0,
+			seqs = this.seqs,
+			paths = this.paths,
+			emP = this.mixing,
+			hmm = this.hmm,
+			model = ( this.markov && emP && !this.learn ) 
+				? {	// configured model; observations start one step after the initial states
+					A: this.markov,
+					pi: $(K, (k,pi) => {
+						pi[k] = 0;
+						U0.$( n => pi[k] += this.markov[ U0[n] ][k] / U0.length );
+					}),
+					mu: emP.parm.map( parm => parm.mu ),
+					sigma: emP.parm.map( parm => parm.sigma )
+				}
+				: hmm ? hmm.fit : null;	// learned model
 		
-		// update process counters
+		if ( !model ) {
+			this.onError("decoding requires a markov mixing process or a learned hmm");
+			return null;
+		}
 		
-		if (K)  { // categorical process
-			this.gamma[s] = this.statCorr();		
-
-			U.$( n => {  // adjust jump counters
-				var
-					frState = U1[n],
-					toState = U[n];
-
-				if ( frState != toState) { // jump if state changed
-					var
-						held = t - UH[n],	// initially 0 and remains 0 in discrete-time mode
-						hold = this.ctmode ? expdev( 1/A[frState][toState] ) : 0 ;  // draw expected holding time
-
-					cumH[frState][toState] += held; // cummulative holding time in from-to jump
-					cumN[frState][toState] ++;  // cummulative number of from-to jumps
+		var 
+			Ls = model.sigma.map( gaussForm ),
+			hits = 0, 
+			total = 0;
+		
+		seqs.$( n => {
+			var seq = seqs[n];
+			
+			if ( seq.length ) {
+				var path = viterbi( seq, model, Ls );
+				
+				ran.onDecode(n, path, forwardBackward( seq, model, Ls ).gamma );
+				
+				if ( !ran.learn ) 
+					path.$( t => {
+						if ( path[t] == paths[n][t] ) hits++;
+						total++;
+					});
+			}
+		});
+		
+		return total ? hits / total : null;
+	}
+	
+	structLearn( ) {	// hill-climb dags over the ensemble nodes by family score; returns a bayes {dag, theta, score}
+		var 
+			N = this.N,
+			K = this.K,
+			struct = this.structure,
+			cases = this.cases,
+			maxPa = struct.maxParents,
+			cache = {},
+			family = (i, pa) => {	// cached family score of node i given parents pa
+				var key = i + ":" + pa.slice().sort( (a,b) => a-b ).join(",");
+				return ( key in cache ) ? cache[key] : cache[key] = familyScore( i, pa, cases, K, struct );
+			},
+			dag = $(N, (i,dag) => dag[i] = [] ),
+			scores = $(N, (i,S) => S[i] = family( i, [] ) ),
+			isAncestor = (a, i) => {	// true if a is an ancestor of i
+				for (var stack = dag[ i ].slice(), seen = {}; stack.length; ) {
+					var j = stack.pop();
+					if ( j == a ) return true;
+					if ( !seen[ j ] ) {
+						seen[ j ] = true;
+						stack.push( ...dag[ j ] );
+					}
+				}
+				return false;
+			};
+		
+		for (var iter=0; iter<struct.iters; iter++) {
+			var best = { delta: 1e-9 };
+			
+			for (var i=0; i<N; i++) 
+				for (var j=0; j<N; j++) {
+					if ( i == j ) continue;
 					
-					NR[frState][frState] = hold;  // update expected holding time 
-					UH[ n ] = t + hold;    // advance to next jump time (hold is 0 in discrete time mode)
-					UK[ n ]++; 		// increment jump counter
-
-					ran.onJump(n, toState, hold ); 	// callback with jump info
+					var pa = dag[ i ], at = pa.indexOf( j );
+					
+					if ( at < 0 ) {	// try add j->i
+						if ( pa.length < maxPa && !isAncestor( i, j ) ) {
+							var delta = family( i, pa.concat(j) ) - scores[ i ];
+							if ( delta > best.delta ) best = { delta: delta, move: "add", i: i, j: j };
+						}
+					}
+					
+					else {	
+						var 
+							paLess = pa.filter( k => k != j ),
+							delta = family( i, paLess ) - scores[ i ];
+						
+						if ( delta > best.delta ) best = { delta: delta, move: "del", i: i, j: j };	// try delete j->i
+						
+						if ( dag[ j ].length < maxPa ) {	// try reverse j->i to i->j
+							dag[ i ] = paLess;
+							
+							if ( !isAncestor( j, i ) ) {
+								var delta = delta + family( j, dag[ j ].concat(i) ) - scores[ j ];
+								if ( delta > best.delta ) best = { delta: delta, move: "rev", i: i, j: j };
+							}
+							
+							dag[ i ] = pa;
+						}
+					}
 				}
-			});	
 			
-			U.$( n => {   // adjust state counters
-				var k = U[n]; 				// state
-				N0[ U0[n] ][ k ]++; 	// initial-to counters for computing ensemble correlations
-				N1[ U1[n] ][ k ]++;		// from-to counters for computing trans probs
-				UN[ n ] [ k ]++; 		// # times U[n] in state k; for computing cond probs
-			});
+			if ( !best.move ) break;	// local max
 			
-			if ( emP ) {
-				var gen = emP.gen;
-				U.$( n => {
-					//Log(n,U[n], n % K, K);
-					emP.obs[n] = gen[ n % K ].sample();
-				});
+			var i = best.i, j = best.j;
+			switch ( best.move ) {
+				case "add": 
+					dag[ i ] = dag[ i ].concat( j ); 
+					break;
+					
+				case "rev": 
+					dag[ j ] = dag[ j ].concat( i ); 
+					scores[ j ] = family( j, dag[ j ] );
+					// and delete j->i
+					
+				case "del": 
+					dag[ i ] = dag[ i ].filter( k => k != j ); 
+					break;
 			}
+			
+			scores[ i ] = family( i, dag[ i ] );
 		}
-	
-		else  // stateless process
-			U.$( n => {   // adjust counters
-				UK[ n ] += U[ n ];
-			});
+		
+		var 
+			learned = {},
+			theta = {};
+		
+		dag.$( i => {
+			var 
+				pa = learned[ i ] = dag[ i ],
+				counts = familyCounts( i, pa, cases, K ),
+				theta_i = theta[ i ] = {};
 			
-		//Log( (t<10) ? "0"+t : t, U.join(""));
-		//if (t<50) Log( t<10 ? "0"+t : t,U,UK);		
-		//if (t<5) Log(t,N0);
+			pa.index( [], K, key => {	// posterior mean cond probs keyed by parent states
+				var 
+					Nij = counts[ parentIndex( key, K ) ],
+					a = ( struct.score == "bdeu" ) ? struct.ess / counts.length / K : 1,
+					N0 = Nij.sum();
+				
+				theta_i[ key ] = $(K, (k,P) => P[k] = ( Nij[k] + a ) / ( N0 + a*K ) );
+			});
+		});
 		
-		this.onStep();
-		this.t += this.dt;
-		this.s++;
+		return {
+			dag: learned,
+			theta: theta,
+			score: scores.sum()
+		};
 	}
 	
-	start ( ) {	  // start process in learning (reverse) or generative (forward) mode
+	walkIncrement( n, t, x, rng ) {	// accumulate increment of member n to position x at time t and check its first exit (within the step when generating with rng)
 		var 
-			ran = this,
-			U = this.U,
-			interpolate = false,
-			batch = this.batch;
-
-		if ( ran.learn && !ran.halt )  // learning mode
-			ran.learn( function supervisor(evs, cb) {  // process events when evs, or terminate with callback(results) when evs exhausted
-
-				if (evs) {
-					//Log("FEEDING "+evs.length + " len="+evs[0].t);
-					ran.step(evs);
-				}
-
-				else {
-					//Log("HALTING", ran.t, ran.steps);
-					ran.halt = true;
-					ran.onEnd();
-					if (cb)
-						cb({  // callback with a ran ctx 
-							store: ran.store,  // output event store
-							T: ran.steps,		// observation time
-							F: ran.F,	// event count frequencies
-							f: mass( ran.F, N, false),	// event count probabilities
-							Nevs: counts( ran.F ), 	// total number of events
-							J: ran.UK,		// ensemble counts
-							N: ran.N		// ensemble size
-						});
-				}
-
-				if ( batch )
-					if ( ran.s % batch == 1 ) ran.onBatch();
-			});
+			wiener = this.wiener,
+			incs = wiener.incs,
+			bars = wiener.bars,
+			sig2 = wiener.sig2,
+			last = wiener.last[n],
+			bridged = (i, b) => 	// true if the brownian bridge from the last position to x crossed barrier b of dim i
+				rng && last && t > last.t && rng() < exp( -2 * ( b - last.x[i] ) * ( b - x[i] ) / sig2[i] / ( t - last.t ) );
 		
-		else { // generative mode
-			//Log("start gen", ran.steps, ran.N);
-			
-			while (ran.s < ran.steps) {  // advance process to end
-				ran.step(null);
+		if ( bars && !wiener.exit[n] ) 
+			x.$( i => {
+				if ( !wiener.exit[n] && bars[i] )
+					if ( x[i] <= bars[i][0] || bridged( i, bars[i][0] ) ) 
+						wiener.exit[n] = { t: t, dim: i, side: 0 };
 				
-				if ( batch )
-					if ( ran.s % batch == 1 ) ran.onBatch();
-			}
+					else
+					if ( x[i] >= bars[i][1] || bridged( i, bars[i][1] ) ) 
+						wiener.exit[n] = { t: t, dim: i, side: 1 };
+			});
+		
+		if ( last && t > last.t ) {
+			var dt = t - last.t;
 			
-			ran.onEnd();
+			incs.M++;
+			incs.dt += dt;
+			x.$( i => {
+				var dx = x[i] - last.x[i];
+				incs.dx[i] += dx;
+				incs.dx2[i] += dx * dx / dt;
+			});
 		}
 		
+		wiener.last[n] = { t: t, x: x.slice() };
 	}
 	
-	corrTime ( ) {  // return correlation time computed as area under normalized auto correlation function
-		
-		if ( this.K ) { // categorical process
-			var Tc = 0;
-			for (var t=0, T = this.t; t<T; t++) Tc += abs(this.gamma[t]) * (1 - t/T);
-
-			Tc *= this.dt / this.gamma[0] / 2;
-		}
+	ouIncrement( n, t, x ) {	// record the transition of member n to position x at time t
+		var 
+			ou = this.ornstein,
+			last = ou.last[n];
 		
-		else
-			var Tc = 0;
+		if ( last && t > last.t ) 
+			x.$( i => ou.pairs[i].push({ x: last.x[i], y: x[i], dt: t - last.t }) );
 		
-		Log(">>>>>>>>>Tc=", Tc);
-		return Tc;
+		ou.last[n] = { t: t, x: x.slice() };
 	}
 	
-	countFreqs ( ) {  // return count frequencies across the ensemble
-
-		var
-			UK = this.UK,  // ensemble counters
-			K = this.K,	// number of states (0 = stateless process)
-			Kmax = K ? UK.max() : floor( UK.max() ),
-			F = this.F = $( 1 + Kmax , $zero );  
-
-		UK.$( n => F[ K ? UK[n] : floor( UK[n] ) ]++ ); 
-		return F;
-	}
-	
-	record (at, ev) {  // record event ev labeled at to store or stream
-		ev.t = this.t;
-		ev.at = at;
-		this.filter(this.store, ev, this);
+	ouFit( ) {	// theta, mu, sigma mles and their standard errors for each dim of an ornstein process
+		return this.ornstein.pairs.map( pairs => pairs.length > 2 ? ouMLE( pairs ) : null );
 	}
 	
-	// State methods
-	
-	onBatch () {    // record MLE jump rates and trans probs
+	intensity( ) {	// kernel or histogram estimate of the intensity profile from the observed arrivals
 		var 
-			ran = this,
-			K = this.K,
-			t = this.t,
-			s = this.s,
+			pp = this.poisson,
+			arrivals = pp.arrivals,
 			N = this.N,
-			net = this.net,
-			F = this.countFreqs();
-
-		if (K) {
-			if ( this.net ) this.condProbs( );
-			this.eqProbs( );
-			this.transProbs( );
-			this.holdTimes( );
-		}
+			B = pp.bins,
+			T = max( this.t, arrivals.length ? arrivals.map( arrival => arrival.t ).max() : 0 ) || this.dt,
+			width = T / B,
+			total = arrivals.reduce( (sum,arrival) => sum + arrival.k, 0 ),
+			times = $(B, (b,X) => X[b] = (b + 0.5) * width );
 		
-		else
-		if ( this.markov ) {	// relative error between mle and actual trans probs
+		if ( pp.estimator == "histogram" ) 
 			var 
-				trP = this.markov,
-				ref = 0,
-				err = this.err = trP   
-					? abs( mleA[ref][ref] - trP[ref][ref] ) / trP[ref][ref]
-					: 0;
-		}
+				h = width,
+				rates = $(B, $zero);
 		
-		else
-			var err = 0;
+		else {	// gaussian kernel
+			var
+				mean = total ? arrivals.reduce( (sum,arrival) => sum + arrival.k * arrival.t, 0 ) / total : 0,
+				sd = total > 1 ? sqrt( arrivals.reduce( (sum,arrival) => sum + arrival.k * (arrival.t - mean)**2, 0 ) / (total - 1) ) : width,
+				h = pp.bandwidth || ( 1.06 * sd * total ** (-1/5) ) || width,
+				rates = times.map( x => 0 );
+		}
 		
-		Log("batch", t, F.length, this.UK.avg().toFixed(4), net ? net.theta : null );
-		//Log("batch", t, F.length, this.UK.avg().toFixed(4), F.join(" "));
+		arrivals.forEach( arrival => {
+			if ( pp.estimator == "histogram" ) 
+				rates[ min( floor( arrival.t / width ), B-1 ) ] += arrival.k / N / width;
+			
+			else
+				times.$( b => rates[b] += arrival.k * exp( -0.5 * ((times[b] - arrival.t) / h)**2 ) / ( h * sqrt(2*PI) * N ) );
+		});
 		
-		this.record("batch", {
-			count_freq: F,
-			count_prob: $( F.length, n => F[n]/N ),
-			rel_error: err,
-			mle_tr_probs: this.mleA,
-			mle_hold_time: this.mleR,
-			eq_probs: K ? this.eqP : null,
-			eq_cond_probs: net ? net.theta : null,
-			stat_corr: K ? this.gamma[ s-1 ] : 0
-		});	
+		return {
+			estimator: pp.estimator,
+			times: times,
+			rates: rates,
+			bandwidth: h,
+			mean_rate: total / N / T
+		};
 	}
-
-	onError ( msg ) {	// record process error condition
-		Log(msg);
-		this.record("error", { 
-			error: msg
-		});
+	
+	orderFit( ) {	// log-likelihood, aic and bic of the markov chains of orders 0 ... m fitted to the observed states
+		var 
+			K = this.K,
+			fits = this.tuples.map( (counts, j) => {
+				var loglik = 0, samples = 0, probs = {}, params = K**j * (K - 1);
+				
+				for (var key in counts) {
+					var N = counts[key], total = N.sum();
+					
+					probs[key] = N.map( n => n / total );
+					N.forEach( n => { if (n) loglik += n * log( n / total ); } );
+					samples += total;
+				}
+				
+				return { order: j, loglik: loglik, params: params, aic: 2*params - 2*loglik, bic: params*log( max(samples,1) ) - 2*loglik, probs: probs };
+			}),
+			best = fits.reduce( (best, fit) => ( fit.bic < best.bic ) ? fit : best, fits[0] );
+		
+		return {
+			fits: fits.map( fit => ({ order: fit.order, loglik: fit.loglik, params: fit.params, aic: fit.aic, bic: fit.bic }) ),
+			best_order: best.order,
+			best_tr_probs: best.probs
+		};
 	}
 	
-	onJump (index,state,hold) {  // record process jump info		
-		this.record("jump", {
-			index: index, state:state, hold:hold
-		});
+	walkStats( ) {	// drift and diffusion mles and first exit stats of a wiener process
+		var 
+			wiener = this.wiener,
+			incs = wiener.incs,
+			M = incs.M,
+			exits = wiener.exit.filter( exit => exit ),
+			Nexit = exits.length,
+			mu = $(incs.dx.length, (i,mu) => mu[i] = incs.dt ? incs.dx[i] / incs.dt : 0 ),
+			sig2 = $(mu.length, (i,S) => S[i] = M ? ( incs.dx2[i] - 2 * mu[i] * incs.dx[i] + mu[i]**2 * incs.dt ) / M : 0 ),
+			times = exits.map( exit => exit.t ),
+			Tbar = Nexit ? times.sum() / Nexit : 0,
+			x0 = wiener.x0[0],
+			bar = wiener.bars ? wiener.bars[0] : null,
+			analytic = ( bar && wiener.dims == 1 ) 	// mean exit time and prob of exiting at hi from [lo,hi]
+				? (function (a, b, drift, sig2) {
+					if ( drift ) {
+						var 
+							s = x => exp( -2 * drift * x / sig2 ),
+							Pb = ( s(x0) - s(a) ) / ( s(b) - s(a) );
+						
+						return { mean_time: ( (b - a) * Pb - (x0 - a) ) / drift, hi_prob: Pb };
+					}
+					
+					else
+						return { mean_time: (x0 - a) * (b - x0) / sig2, hi_prob: (x0 - a) / (b - a) };
+				})( bar[0], bar[1], wiener.mu[0], wiener.sig2[0] )
+				: null;
+		
+		return {
+			mle_drift: mu,
+			mle_diffusion: sig2,
+			drift_stderr: $(mu.length, (i,E) => E[i] = incs.dt ? sqrt( sig2[i] / incs.dt ) : 0 ),
+			diffusion_stderr: $(mu.length, (i,E) => E[i] = M ? sig2[i] * sqrt( 2 / M ) : 0 ),
+			exit_fraction: Nexit / this.N,
+			exit_mean_time: Tbar,
+			exit_var_time: Nexit ? times.map( t => (t - Tbar)**2 ).sum() / Nexit : 0,
+			exit_hi_fraction: Nexit ? exits.filter( exit => exit.side ).length / Nexit : 0,
+			exit_analytic: analytic
+		};
 	}
 	
-	onStep () {		// record process step info
-		this.record("step", {
-			gamma:this.gamma[this.s],
-			walk: this.wiener ? this.U : []
-		});
+	reactStats( ) {	// ensemble means and variances of species counts and reaction firings
+		var 
+			gill = this.gillespie,
+			N = this.N,
+			X = gill.X,
+			F = gill.fires,
+			moments = (V) => {
+				var 
+					mean = $(V[0].length, (k,M) => {
+						M[k] = 0;
+						V.forEach( Vn => M[k] += Vn[k] / N );
+					}),
+					vars = $(V[0].length, (k,S) => {
+						S[k] = 0;
+						V.forEach( Vn => S[k] += (Vn[k] - mean[k])**2 / N );
+					});
+				
+				return { mean: mean, vars: vars };
+			},
+			counts = moments( X ),
+			fires = gill.reactions.length ? moments( F ) : { mean: [], vars: [] };
+		
+		return {
+			species: gill.species,
+			mean_counts: counts.mean,
+			var_counts: counts.vars,
+			mean_fires: fires.mean,
+			var_fires: fires.vars
+		};
 	}
-
-	onConfig() {  // record process config info
-		this.record("config", {
-			states: this.K,
-			ensemble_size: this.N,		
-			sample_time: this.dt,
-			nyquist: 1/this.dt,
-			cum_tr_probs: this.cumP,
-			
-			markov_tr_probs: this.markov,
-			//trans_mode: this.transMode,
-			
-			mean_recur_times: this.NR,
-			eq_probs: this.eqP,
-			mixes: this.mixing ? this.mixing.parm : null,
-			snr: this.mixing ? this.mixing.snr0 : 0,
-			run_steps: this.steps,
-			absorb_times: this.ab
+	
+	transProbs( ) {	// mle transition probs
+		var
+			N1 = this.N1,
+			mleA = this.mleA;
+		
+		N1.$( fr => {  // transition prob mleA using the 1-step state transition counts
+			N1[fr].sum( sum => {
+				mleA[fr].$( to => {
+					mleA[fr][to] = N1[fr][to] / sum;
+					//Log(fr,to,Nfr[to], sum);
+				});
+			});
 		});
+	}		
+	
+	psd( ) {	// welch psd of the process values and, for a markov process, its analytic psd
+		var
+			spec = this.spectrum,
+			dt = this.dt,
+			welch = welchPSD( this.series, spec.segment, spec.overlap, spec.window, dt );
+		
+		return {
+			freqs: welch.freqs,
+			psd: welch.psd,
+			segments: welch.segments,
+			nyquist: 1/dt/2,
+			markov_psd: ( this.markov && this.K ) ? markovPSD( this.markov, this.corrMap, welch.freqs, dt ) : null
+		};
 	}
 	
-	onEnd() {  // record process termination info
+	passageStats( ) {	// empirical from-to first passage (recurrence) time histograms and means
+		var 
+			dt = this.dt,
+			passH = this.passH;
 		
-		//Log("onend", this.obs.length);
+		return {
+			hist: passH,
+			samples: passH.map( row => row.map( H => H.sum() ) ),
+			mean: passH.map( row => row.map( H => {
+				var n = H.sum();
+				return n ? H.reduce( (sum,h,bin) => sum + h * bin * dt, 0 ) / n : null;
+			}) )
+		};
+	}
+	
+	hitStats( ) {	// empirical histograms of the ensemble first hitting steps from each start state beside their analytic distributions
+		var 
+			hit = this.hitting,
+			U0 = this.U0,
+			first = hit.first;
 		
+		return {
+			analytic: hit.analytic,
+			empirical: hit.analytic.starts.map( start => {
+				var 
+					steps = first.filter( (f,n) => U0[n] == start.start ),
+					hits = steps.filter( f => f != null ),
+					hist = $( hit.steps + 1, $zero );
+				
+				hits.forEach( f => { if ( f <= hit.steps ) hist[f]++; } );
+				
+				return {
+					start: start.start,
+					members: steps.length,
+					censored: steps.length - hits.length,
+					mean: hits.length ? hits.sum() / hits.length : null,
+					hist: hist
+				};
+			})
+		};
+	}
+	
+	transPower( n ) {	// n-step trans probs P^n of a markov process by repeated squaring
 		var 
-			ran = this,
-			batch = this.batch,
-			T = this.steps,
-			Tc = this.corrTime(),
-			Kbar = this.UK.avg(),
-			M = T / Tc,
-			delta = Kbar / M,
-			F = this.countFreqs(),
-			K = this.K,
-			emP = this.mixing,
-			mleB = this.mleB = this.mixing ? EM( emP.obs, K) : null;
-
-		//Log("onend UK", UK);
+			P = this.markov,
+			K = P.length,
+			Pn = $( [K,K], (i,j,I) => I[i][j] = (i == j) ? 1 : 0 );
 		
-		this.record("end", {  // record supervised stats
-			stats: {
-				mle_holding_times: ran.mleR,
-				rel_error: ran.err,
-				count_freq: F,
-				mle_em_probs: ran.mleB,
-				mle_tr_probs: ran.mleA,
-				tr_counts: ran.N1,
-				mean_count: Kbar, 
-				coherence_time: Tc, 
-				coherence_intervals: M,
-				correlation_0lag: ran.gamma[0],
-				mean_intensity: Kbar / T,
-				degeneracy_param: delta,
-				snr: sqrt( Kbar / (1 + delta ) )
-			}
-		});
-
-		if (false)
-			if (evs = this.store)
-				evs.forEach( ev => {
-					ev.s = ev.t / Tc;
-				});
+		for (var Pk = P; n > 0; n = floor(n/2), Pk = matmul( Pk, Pk ) ) 
+			if ( n % 2 ) Pn = matmul( Pn, Pk );
+		
+		return Pn;
 	}
-
-	end(stats, saveStore) {  // terminate process
-		this.record("end", {  // post learning stats
-			stats: stats ? Copy(stats,{}) : {error:"stats unavailable"} 
-		});  
-		if (saveStore) saveStore( this.store );
+	
+	convergenceStats( ) {	// latest point of the empirical convergence curve and burn-in of the ensemble state histogram
+		var conv = this.convergence;
+		
+		return {
+			s: this.s,
+			tv: conv.tv,
+			burn_in: conv.burn
+		};
 	}
 	
-	pipe(sinkStream) {  // pipe events to a sinking stream or to a callback sinkStream(events)
+	batchCounts( ) {	// from-to trans counts since the last batch
 		var 
-			ran = this,
-			sync = (typeof sinkStream) == "function";
-
-		Trace( `PIPE${sync ? "sync" : "async"}` );
+			N1 = this.N1,
+			NB = this.NB;
 		
-		ran.store = sync
-			? []
-			: new STREAM.Readable({  // prime and terminate the pipe
-				objectMode: true,
-				read: function () {  // prime or terminate the pipe
-					//Log("randpr pipe at", ran.t);
-
-					if ( ran.s < ran.steps ) 	// prime
-						ran.start( );
-
-					else  { // terminate
-						ran.end();
-						this.push(null);
-					}
-				}
+		return N1.map( (row,fr) => row.map( (n,to) => n - NB.reduce( (sum,C) => sum + C[fr][to], 0 ) ) );
+	}
+	
+	testCounts( ) {	// goodness, markov, stationarity and homogeneity tests of the trans counts
+		var 
+			tests = this.tests,
+			stat = tests.stat,
+			N1 = this.N1,
+			P = tests.markov || this.markov,
+			NB = this.NB.concat( [ this.batchCounts( ) ] ).filter( C => C.reduce( (s,row) => s + row.reduce( (a,b) => a+b, 0 ), 0 ) > 0 ),	// drop empty batches
+			NM = this.NM,
+			results = [],
+			strata = tables => tables.reduce( (sum,T) => {	// pooled contingency tests
+				var test = contingency( T, stat );
+				
+				sum.statistic += test.statistic;
+				sum.df += test.df;
+				return sum;
+			}, { statistic: 0, df: 0 } ),
+			report = (name, test) => results.push({ 
+				test: name, stat: stat, statistic: test.statistic, df: test.df, p_value: chi2Tail( test.statistic, test.df ) 
 			});
 		
-		ran.onConfig();		// process configured
-		
-		if  (sync) {  // pipe is sync mode using array store
-			ran.start();
+		if ( P ) {	// counts against hypothesised trans probs
+			var test = { statistic: 0, df: 0 };
 			
-			sinkStream( ran.store );
-		}
+			N1.$( fr => {
+				var sum = N1[fr].sum();
+				
+				if ( sum ) {
+					test.df += P[fr].filter( p => p > 0 ).length - 1;
+					N1[fr].$( to => test.statistic += cellStat( N1[fr][to], sum * P[fr][to], stat ) );
+				}
+			});
 			
-		else {	// pipe in async mode
-			var
-				ranStream = ran.store,
-
-				editStream = new STREAM.Transform({  // 2nd stage filters events
-					writableObjectMode: true,
-					readableObjectMode: true,
-					transform: function (ev,en,cb) {
-						ran.filter(this, ev, this.learn);
-						cb(null);
-					}
-				}),
-
-				charStream = new STREAM.Transform({  // 3rd stage makes events human readable 
-					writableObjectMode: true,
-					transform: function (ev,en,cb) {
-						this.push( JSON.stringify(ev) ); 
-						cb(null);
-					}
-				});
-
-			ranStream.pipe(editStream).pipe(charStream).pipe(sinkStream);
+			report( "goodness", test );
 		}
-			
+		
+		report( "markov", strata( N1.map( (row,b) => this.N2.map( N2a => N2a[b] ) ) ) );	// prior state independent of to-state given from-state
+		
+		if ( NB.length > 1 ) 
+			report( "stationarity", strata( N1.map( (row,fr) => NB.map( C => C[fr] ) ) ) );
+		
+		report( "homogeneity", strata( N1.map( (row,fr) => NM.map( M => M[fr] ) ) ) );
+		
+		results.forEach( result => this.onTest( result ) );
+		return results;
 	}
+	
+	posteriorStats( ) {	// posterior (and bootstrap) means, std errors and credible intervals of the trans probs, equlib probs and holding times
+		var
+			post = this.posterior,
+			N1 = this.N1,
+			NM = this.NM,
+			N = this.N,
+			K = this.K,
+			rng = post.rng,
+			level = post.level,
+			jumps = this.cumN.map( row => row.sum() ),	// jumps out of each state
+			held = this.cumH.map( row => row.sum() ),	// time held in each state before its jumps
+			derive = (P, H) => {	// trans probs with their equlib probs (and mean holding times)
+				var stats = {
+					tr_probs: P,
+					eq_probs: ctmcEqProbs( P.map( (row,fr) => row.map( (p,to) => p - ( (fr == to) ? 1 : 0 ) ) ) )
+				};
+				
+				if ( H ) stats.hold_times = H;
+				return stats;
+			},
+			draws = $( post.samples, (s,D) => D[s] = N1.map( row => dirichletDev( row.map( n => n + post.prior ), rng ) ) ),
+			holds = $( post.samples, (s,H) => H[s] = held.map( (h,fr) => 	// hold times 1/rate with rate ~ gamma(jumps + prior, 1/held) (0 if never left)
+				h ? h / gammadev( jumps[fr] + post.prior, rng ) : 0 ) ),
+			summary = draws => {
+				var stats = {};
+				
+				for (var key in draws[0]) stats[key] = credible( draws.map( draw => draw[key] ), level );
+				return stats;
+			},
+			boots = NM 
+				? $( post.bootstrap, (b,B) => {	// resample ensemble members
+					var C = $( [K,K], $$zero );
+					
+					for (var n=0; n<N; n++) {
+						var M = NM[ floor( rng() * N ) ];
+						C.$$( (fr,to) => C[fr][to] += M[fr][to] );
+					}
+					
+					B[b] = C.map( (row,fr) => {
+						var sum = row.sum();
+						return row.map( (n,to) => sum ? n / sum : ( (fr == to) ? 1 : 0 ) );
+					});
+				})
+				: null;
 		
-}
-
-module.exports = RAN;
-
-function expdev(mean) {
-	return -mean * log(random());
-}
+		this.holdTimes( );	// refresh the hold mles
+		
+		return {
+			level: level,
+			mle_hold_times: this.mleQ.map( (row,fr) => row[fr] ? -1 / row[fr] : 0 ),
+			dirichlet: summary( draws.map( (P,s) => derive( P, holds[s] ) ) ),
+			bootstrap: boots ? summary( boots.map( P => derive( P ) ) ) : null,
+			tr_samples: draws.slice( 0, post.predictive )
+		};
+	}
+	
+	step (evs, cb) {  // advance process forward one step (with events evs if in learning mode)
+		
+		function draw( P, rng ) { // draw random state with cumulative prob P
+			var to = 0, K = P.length;
 
-function avgRate(A) {  // computes average jump rate in A not necessarily balanced
+			for (var u = rng(); to < K && P[to] <= u; to++) ;
+			return (to == K) ? to-1 : to;
+		}
 
-	for (var fr=0,lambda=0,K=A.length; fr<K; fr++)
-		for (var to=0,Afr=A[fr]; to<K; to++)
-			if ( fr != to ) lambda += Afr[to];
+		var 
+			ran = this,
+			UH = this.UH, UJ = this.UJ, NR = this.NR, mleA = this.mleA,
+			
+			UK = this.UK, U1 = this.U1, U = this.U, U0 = this.U0, UN = this.UN,
+			N1 = this.N1, N0 = this.N0,
+			cumH = this.cumH, cumN = this.cumN, A = this.A, 
+			
+			symbols = this.symbols, keys = this.keys, emP = this.mixing, hmm = this.hmm, seqs = this.seqs, paths = this.paths, net = this.net, cases = this.cases,
+			hists = this.hists, tuples = this.tuples, m = this.order, holds = this.holds, NM = this.NM, N2 = this.N2, U2 = this.U2, UP = this.UP,
+			K = this.K, t = this.t, N = this.N, s=this.s, dt = this.dt,
+			rng = this.rng, rngs = this.rngs,
+			
+			transitions = {
+				// homogeneous stateful process
 
-	return lambda / (K*K-K); 	
-}
+				mixing: function ( t, u, rng ) { 
+					return u;
+				},
+				
+				markov: function ( t, u , rng, n ) {  // toState via trans probs
+					var 
+						markov = ran.markov,
+						cumP = markov.cumP,
+						fr = u;
+					
+					if ( markov.order ) {	// order-m chain conditioned on the last m states
+						var 
+							hist = markov.hist[n] = markov.hist[n] || $(markov.order, (i,H) => H[i] = u ),
+							to = draw( markov.cumC[ index( hist, markov.dims ) ], rng );
+						
+						hist.push( to );
+						hist.shift();
+					}
+					
+					else
+						var to = draw( cumP[fr], rng );
 
-function $$zero(i,j,A) {
-	A[i][j] = 0;
-}
+					return to;
+				},
 
-function $zero(i,A) {
-	A[i] = 0;
-}
+				generator: function ( t, u, rng, n ) {  // toState via the jump chain with exponential holds jumping at real-valued times within this step
+					var 
+						Q = ran.generator,
+						cumP = Q.cumP,
+						fr = u;
+					
+					while ( UH[n] < t + dt ) {
+						var 
+							tJ = UH[n],  // jump time
+							to = draw( cumP[fr], rng ),
+							hold = A[to][to] ? expdev( -1/A[to][to], rng ) : Infinity;  // hold in to-state (infinite if absorbing)
+						
+						cumH[fr][to] += tJ - UJ[n];  // cummulative holding time in from-to jump
+						cumN[fr][to] ++;  // cummulative number of from-to jumps
+						UJ[ n ] = tJ;
+						UH[ n ] = tJ + hold;  // advance to next jump time
+						UK[ n ]++;  // increment jump counter
+						
+						ran.onJump(n, to, hold, tJ);
+						fr = to;
+					}
 
-function counts(F) {
-	var Nevs = 0;
-	F.$( k => Nevs += k * F[k] );
-	return Nevs;	
-}
+					return fr;
+				},
 
-function mass(F, N, interpolate) {
-	return $( F.length, (k, f) => {    // count probabilities
-		if (interpolate)  {  // usually pointless
-			if ( F[k] ) 
-				f[k] = F[k] / N;
+				semi: function ( t, u, rng, n ) {  // toState via the jump chain with from-to distributed holds jumping at real-valued times within this step
+					var 
+						semi = ran.semi,
+						cumP = semi.cumP,
+						next = semi.next,
+						fr = u;
+					
+					if ( next[n] == null ) {	// draw first destination and hold
+						next[n] = draw( cumP[fr], rng );
+						UH[ n ] = UJ[n] + holdDev( semi.dists[fr][ next[n] ], rng );
+					}
+					
+					while ( UH[n] < t + dt ) {
+						var 
+							tJ = UH[n],  // jump time
+							to = next[n];
+						
+						cumH[fr][to] += tJ - UJ[n];  // cummulative holding time in from-to jump
+						cumN[fr][to] ++;  // cummulative number of from-to jumps
+						holds[fr][to].push( tJ - UJ[n] );
+						
+						var hold = holdDev( semi.dists[to][ next[n] = draw( cumP[to], rng ) ], rng );	// hold in to-state before its next jump
+						
+						UJ[ n ] = tJ;
+						UH[ n ] = tJ + hold;  // advance to next jump time
+						UK[ n ]++;  // increment jump counter
+						
+						ran.onJump(n, to, hold, tJ);
+						fr = to;
+					}
 
-			else
-			if ( k ) {
-				N += F[k-1];
-				f[k] = F[k-1] / N;
-			}
+					return fr;
+				},
 
-			else
-				f[k] = 0;
-		}
-		
-		else
-			f[k] = F[k] / N;
-	});
-}
+				// inhomogeneous stateful process
 
-function cumulative( P ) {  // replace P with its cumulative
-	switch (0) {
-		case 0:
-			P.$( (k) => {
-				if (k) P[k] += P[k-1];
-			});
-			break;
-			
-		case 1:
-			var cum = 0;
-			P.$( (k) => {
-				var hold = P[k];
-				P[k] = cum;
-				cum += hold;
-			});
-			break;
-	}
-}
+				gillespie: function ( t, u, rng, n ) {  // number of reactions fired in this step
+					var 
+						gill = ran.gillespie,
+						reactions = gill.reactions,
+						nu = gill.nu,
+						X = gill.X[n],
+						F = gill.fires[n],
+						R = reactions.length,
+						tau = gill.tau,
+						tEnd = t + dt,
+						fired = 0;
+					
+					function ssa(t0, t1) {	// exact reaction events in [t0, t1)
+						for (var tR = t0; ; ) {
+							var 
+								a = propensities( reactions, X ),
+								a0 = a.sum();
+							
+							if ( !a0 ) break;	// exhausted
+							
+							tR += expdev( 1/a0, rng );
+							if ( tR >= t1 ) break;	// memoryless so the remaining wait restarts next interval
+							
+							for (var r=0, u = rng() * a0; r < R-1 && (u -= a[r]) >= 0; r++) ;
+							
+							X.$( s => X[s] += nu[r][s] );
+							F[r]++;
+							fired++;
+							ran.onReact(n, r, $(R, (k,f) => f[k] = (k == r) ? 1 : 0 ), X, tR);
+						}
+					}
+					
+					if ( tau ) 	// tau-leaping
+						for (var tL = t; tL < tEnd; tL += tau) {
+							var 
+								h = min( tau, tEnd - tL ),
+								a = propensities( reactions, X ),
+								k = $(R, (r,k) => k[r] = poissdev( a[r] * h, rng ) ),
+								Xn = $(X.length, (s,Xn) => {
+									Xn[s] = X[s];
+									k.$( r => Xn[s] += k[r] * nu[r][s] );
+								});
+							
+							if ( Xn.some( x => x < 0 ) ) 	// leap overshot so make exact events instead
+								ssa( tL, tL + h );
+							
+							else 
+								if ( k.sum() ) {
+									X.$( s => X[s] = Xn[s] );
+									k.$( r => F[r] += k[r] );
+									fired += k.sum();
+									ran.onReact(n, -1, k, X, tL + h);
+								}
+						}
+					
+					else
+						ssa( t, tEnd );
+					
+					return fired;
+				},
 
-function range (min,max) { // unused - generate a range
-	var rtn = new Array(max-min+1);
-	for (var n=min,m=0,M=rtn.length; m<=M; m++) rtn[m] = n += 1;
-	return rtn;
-}	
+				bayes: function ( t, u, rng, n ) {  // toState of node n given the current states of its parents (dag) or neighbours (net)
+					var 
+						net = ran.net,
+						P = net.cpt[ n ][ net[ n ].index( U ) ];
+					
+					for (var to = 0, u = rng(); to < K-1 && (u -= P[to]) >= 0; to++) ;
+					return to;
+				},
 
-function balanceRates(A) {   // enforce global balance on jump rates
-	A.$( (k) => A[k][k] = - A[k].sum() );
-	return A;
-}
+				// stateless process
 
-function balanceProbs(P) {  // enforce global balance on probs
-	P.$( (k) => {
-		P[k][k] = 1 - P[k].sum() 
-	});
-	return P;
-}			
+				gauss: function ( t, u , rng ) {
+					var
+						gauss = ran.gauss,
+						vals = gauss.values,	// pc eigen values  [unitless]
+						vecs = gauss.vectors,	// pc eigen values	[sqrt Hz]
+						ref = gauss.ref,	// ref eigenvalue
+						N = vals.length, // number of eigenvalues being used
+						dim = gauss.dim,	// max pc dim = observation interval
+						i = gauss.grid ? floor( t / gauss.grid ) : t,	// pc sample index
+						mean = gauss.mean;  // mean events over sample time
 
-function Trace(msg) {
-	"rand".trace(msg);
-}
+					if ( i >= dim ) // KL expansion exhausted
+						return mean;	// could return negbin dev but good to know it is no longer updating
 
-function firstAbsorb(P) {  //< compute first absorption times, probs and states
-	var 
-		K = P.length,
-		kAb = [],
-		kTr = [],
-		x = P.$( (k) => {
-			if ( P[k][k] == 1 ) 
-				kAb.push(k+1);
-			else
-				kTr.push(k+1);
-		}),
-		ctx = {
-			P: $.matrix(P),
-			K: K,
-			kAb: $.matrix(kAb),
-			kTr: $.matrix(kTr),
-			nAb: kAb.length,
-			nTr: kTr.length,
-			abT: $.matrix([]),
-			abP: $.matrix([])
-		};
-	
-	//Log("ab ctx", JSON.stringify(ctx));
-	if ( ctx.nAb && ctx.nTr )
-		$("Q = P[kTr,kTr]; NR = P[kTr,kAb]; N = inv( eye(nTr,nTr) - Q ); abT = N*ones(nTr,1); abP = N*NR;", ctx);
-		
-	return {
-		times: ctx.abT,
-		probs: ctx.abP,
-		states: kAb
-	};
-}
+					else {	// use KL expansion to generate count sample from arrivial rate process 
+						var
+							B = $.matrix( $(N, (n,B) => {  // generate KL coefficients [events]
+								var 
+									Bmod = sqrt( expdev( mean * vals[n] / ref, rng ) ),  
+									Barg = rng() * PI;
 
-function meanRecurTimes(P) {  //< compute mean recurrence times
-/*
-If the process is/were Regular, we could itterate the process (e.g. compute some power of the from-to 1-step transition $$ P) to determine 
-the equlibrium 
-prob vector w, and therefore its associated eq prob $$ W = [w ; w; ... ].  However, in general, P is not Regular.  We require, however, 
-that the process P be at 
-least Ergodic (w or w/o absorbing states) and, thus, it must possess mean recurrence times H.  So while the computed H must have nontrivial
-values for an absorbing P, there is (of course, and by definition) no guarantee that all states will be hit, and thus there	is no guarantee that 
-the MLE H will match the computed H at transitions that are never hit.  So, in the general ergodic case, the equib probs w must be determined
-by examining the left-nullspace for ( I - P ) whose inverse does not exists (see [*]).  There is, however, an alternative way to compute the w since
-sum(w) = 1 by definition.  Thus we decompose ( I - P ) as follows:
+								//if (t == 0)  Log( t , n , N, vals[n] / ref , mean, Bmod);
+								B[n] = $.complex( Bmod * cos(Barg), Bmod * sin(Barg) );  
+							}) ),
+							V = $.matrix( $(N, (n,V) => {  // get KL eigen vector at time t [sqrt Hz]
+								V[n] = vecs[n][i];  // i index = 0:N samples vectors at t = -T/2 : T/2
+							}) ),
+							A = $.dot( B, V),  // complex analytic function representing event rate process [sqrt Hz]
+							lambda = $.abs(A)**2,  // event rate process [Hz]
+							k = lambda * dt;  // [events]
 
-		w * P = w
-		[ 1, wk ] [ [P0 Pu] ; [Pl Pk] ] = [1, wk]
+						//if (t == 0 ) Log("gauss", t, N, dim, mean, k, ref, A);
+						return k;
+					}
+				},
 
-leaving 2 simultaneous equations:
+				wiener: function ( t, u, rng, n ) {  // independent gauss increments over dt
+					var 
+						wiener = ran.wiener,
+						mu = wiener.mu,
+						sig2 = wiener.sig2,
+						X = wiener.X[n];
 
-		P0 + wk * Pl = 1
-		Pu + wk * Pk = wk
+					X.$( i => X[i] += mu[i] * dt + sqrt( sig2[i] * dt ) * gaussdev(rng) );
+					ran.walkIncrement( n, t + dt, X, rng );
 
-the last of which is solved for a wk, thence w = renormalized( [1,wk ] ) such that sum(w) = 1.
+					return X[0];
+				},
 
-This technique fails, however, when det(Pk - I ) vanishes, that is, when wk (and therefore w) is not 
-unique; we test for 
-such non-ergodic P by testing the det( Pk - I ). [*] Note further that in the higher KxK space, det(P - I) 
-always
-vanishes as it must (the columns of P must sum to 1).  Indeed, if (P - I) has an inverse A, then 
-P = I + inv(A);
-but inv(A) cannot exists as A is balanced (its columms summing to 0).  Thus, P does not uniquely 
-determine the process: only the mean recurrence times H and the equlib pr w determine the process.
-*/	
+				ornstein: function ( t, u, rng, n ) {  // exact transition X' = mu + Phi (X - mu) + e with e ~ N(0, Q)
+					var 
+						ornstein = ran.ornstein,
+						mu = ornstein.mu0,
+						Phi = ornstein.Phi,
+						X = ornstein.X[n],
+						D = X.length,
+						e = ornstein.noise.sample( rng ),
+						Xn = ornstein.X[n] = $(D, (i,Xn) => {
+							Xn[i] = mu[i] + e[i];
+							for (var j=0; j<D; j++) Xn[i] += Phi[i][j] * ( X[j] - mu[j] );
+						});
 
-	var 
-		ctx = {
-			P: $.matrix(P),
-			K: P.length
-		},
-		K = ctx.K;
+					ran.ouIncrement( n, t + dt, Xn );
+					return Xn[0];
+				},
+				
+				poisson: function ( t, u, rng, n ) {  // arrivals over (t, t+dt] by thinning a bounding homogeneous process
+					var 
+						pp = ran.poisson,
+						rate = pp.driver ? pp.rate( pp.driver.U[n] ) : null,	// cox rate is held over the step
+						bound = (rate == null) ? pp.bound( t, t + dt ) : rate,
+						k = 0;
+					
+					if ( bound > 0 ) 
+						for (var s = t + expdev( 1/bound, rng ); s < t + dt; s += expdev( 1/bound, rng ) ) 
+							if ( rate != null || rng() * bound < pp.lambda(s) ) {
+								k++;
+								pp.arrivals.push({ t: s, k: 1 });
+								ran.onArrive( n, s );
+							}
+					
+					return k;
+				}
+			},
 
-	if ( K > 1) {
-		$("k=2:K; P0=P[1,1]; Pl=P[k,1]; Pu=P[1,k]; Pk=P[k,k]; A = Pk - eye(K-1); Adet = abs(det(A)); ", ctx);
+			trans = transitions[ ran.trans ];
+				
+		U.$( n => U1[n] = U[n] );  // hold current states/values
+		
+		if (evs) { // in learning mode 
+			/*
+			if ( !t ) { // initialize states at t=0
+				ran.gamma[0] = 1;  // force
+				evs.forEach( ev => {
+					var n = ev[keys.index];		// ensemble index
+					U[ n ] = symbols[ev[keys.state]] || 0;  // state (0 if hidden)
+				});
+				U.$( n => {
+					U0[n] = U1[n] = U[n];		// initialize states
+					UK[n] = -1;  // force initial jump counter to 0
+				}); 
+			} */
 
-		Log({"MRT det": ctx.Adet});
+			// latch (assume time-ordered) events to ensemble
+			
+			evs = evs.filter( ev => {	// drop events outside the ensemble or with unknown states
+				var n = ev[keys.index] || 0;
+				
+				if ( !Number.isInteger(n) || n < 0 || n >= N ) 
+					ran.onError( `invalid ensemble index ${keys.index}=${ev[keys.index]}` );
+				
+				else
+				if ( K && !hmm && !( symbols[ ev[keys.value] ] < K ) ) 
+					ran.onError( `invalid state ${keys.value}=${ev[keys.value]}` );
+				
+				else
+					return true;
+				
+				return false;
+			});
+			
+			if ( !evs.length ) return;
+			
+			t = this.t = evs[0].t;	
+			
+			if ( hmm ) // hidden markov process so latch observations (states remain hidden)
+				evs.forEach(ev => {
+					var obs = ev[keys.value];
+					seqs[ ev[keys.index] || 0 ].push( obs.length ? obs : [obs] );
+				});
+			
+			else
+			if (K) // categorical process so latch states
+				evs.forEach(ev => {	// set the (validated) states
+					U[ ev[keys.index] || 0 ] = symbols[ ev[keys.value] ];
+				});
+			
+			else
+			if ( ran.poisson ) { // point process so count arrivals
+				U.$( n => U[n] = 0 );
+				evs.forEach(ev => {
+					var k = (ev[keys.value] == null) ? 1 : ev[keys.value];
+					
+					U[ ev[keys.index] || 0 ] += k;
+					ran.poisson.arrivals.push({ t: (ev.t == null) ? t : ev.t, k: k });
+				});
+			}
+			
+			else // stateless process so latch values
+				evs.forEach(ev => {  // set values (if supervised) or 0 (if hidden)
+					var 
+						n = ev[keys.index] || 0,
+						v = ev[keys.value] || 0,
+						x = ( v.constructor == Array ) ? v : [v];	// multi-dim value
+					
+					if ( ran.wiener ) ran.walkIncrement( n, t, x );
+					if ( ran.ornstein ) ran.ouIncrement( n, t, x );
+					U[ n ] = x[0];
+				});				
+		}
 
-		if ( ctx.Adet < 1e-3 ) {
-			Log("Proposed process is not ergodic, thus no unique eq prob exist.", ctx.P);
-			return $( [K,K],  $$zero );
+		else  { // in generative mode
+			if ( ran.poisson && ran.poisson.driver ) ran.poisson.driver.step(null);	// advance the cox driving process
+			
+			( ran.bayes ? ran.bayes.order : U ).forEach( (x,i) => {	// nodes in ancestral or gibbs sweep order
+				var n = ran.bayes ? x : i;
+				U[ n ] = trans( t , U[n], rngs ? rngs[n] : rng, n );
+			});
 		}
+		
+		// Log(t, U.join(" "));
+		
+		// update process counters
+		
+		if (K)  { // categorical process
+			this.gamma[s] = this.statCorr();		
 
-		else {
-			$("wk= -Pu*inv(A);", ctx);
+			if ( evs || ( ran.trans != "generator" && ran.trans != "semi" ) ) U.$( n => {  // adjust jump counters (generator and semi jumps are counted when made)
+				var
+					frState = U1[n],
+					toState = U[n];
 
-			//Log("man meanRecurTimes", ctx);
-			ctx.w = $.matrix([1].concat(ctx.wk[0]));
-
-			$("w = w / sum(w); w = [w]; Z = inv( eye(K) - P + w[ ones(K) , 1:K] ); H = zeros(K,K); ", ctx);
-
-			var 
-				H = ctx.H,
-				Z = ctx.Z,
-				w = ctx.w[0];
+				if ( frState != toState) { // jump if state changed
+					var
+						held = t - UH[n],	// initially 0 and remains 0 in discrete-time mode
+						hold = (this.ctmode && !evs) ? expdev( 1/A[frState][toState], rngs ? rngs[n] : rng ) : 0 ;  // draw expected holding time
 
-			for (var fr=0;fr<K; fr++) 
-				for (var to=0; to<K; to++) 
-					H[ fr ][ to ] = ( ( fr == to ) ? 1 / w[ to ] : ( Z[ to ][ to ] - Z[ fr ][ to ] ) / w[ to ] );	
+					cumH[frState][toState] += held; // cummulative holding time in from-to jump
+					cumN[frState][toState] ++;  // cummulative number of from-to jumps
+					if ( holds ) holds[frState][toState].push( held );
+					
+					NR[frState][frState] = hold;  // update expected holding time 
+					UH[ n ] = t + hold;    // advance to next jump time (hold is 0 in discrete time mode)
+					UK[ n ]++; 		// increment jump counter
 
-			return H;
+					ran.onJump(n, toState, hold ); 	// callback with jump info
+				}
+			});	
+			
+			U.$( n => {   // adjust state counters
+				var k = U[n]; 				// state
+				N0[ U0[n] ][ k ]++; 	// initial-to counters for computing ensemble correlations
+				N1[ U1[n] ][ k ]++;		// from-to counters for computing trans probs
+				if ( NM ) NM[ n ][ U1[n] ][ k ]++;	// member from-to counters for bootstrapping and tests
+				
+				if ( N2 ) {	// from-to counters given the prior state for testing the markov property
+					if ( U2[n] >= 0 ) N2[ U2[n] ][ U1[n] ][ k ]++;
+					U2[ n ] = U1[n];
+				}
+				UN[ n ] [ k ]++; 		// # times U[n] in state k; for computing cond probs
+			});
+			
+			if ( UP ) {	// from-to first passage times
+				var 
+					passH = this.passH,
+					now = evs ? t : t + dt;
+				
+				U.$( n => {
+					var S = UP[n], to = U[n];
+					
+					if ( !s && !evs ) S[ U1[n] ].$( k => S[ U1[n] ][k] = t );	// start passages from the initial states
+					
+					S.$( fr => {	// complete passages reaching the to-state
+						if ( S[fr][to] != null && now > S[fr][to] ) {
+							var H = passH[fr][to], bin = round( (now - S[fr][to]) / dt );
+							
+							while ( H.length <= bin ) H.push(0);
+							H[bin]++;
+							S[fr][to] = null;
+						}
+					});
+					
+					S[to].$( k => { if ( S[to][k] == null ) S[to][k] = now; } );	// start passages from the from-state
+				});
+			}
+			
+			if ( ran.hitting && ran.hitting.first ) {	// ensemble first hitting steps
+				var hit = ran.hitting;
+				
+				U.$( n => {
+					if ( hit.first[n] == null ) 
+						if ( !s && hit.isTarget[ U1[n] ] ) 
+							hit.first[n] = 0;
+						
+						else
+						if ( hit.isTarget[ U[n] ] ) 
+							hit.first[n] = s + 1;
+				});
+			}
+			
+			if ( ran.convergence && ran.convergence.mix ) {	// TV distance of the ensemble histogram from the equlib probs
+				var 
+					conv = ran.convergence,
+					eqP = conv.mix.eq_probs,
+					hist = $(K, $zero);
+				
+				U.$( n => hist[ U[n] ] += 1/N );
+				conv.tv = eqP ? 0.5 * hist.reduce( (sum,h,k) => sum + abs( h - eqP[k] ), 0 ) : null;
+				if ( conv.burn == null && conv.tv != null && conv.tv <= conv.eps ) conv.burn = s + 1;
+			}
+			
+			if ( net ) 	// node counts given its parent or neighbour states for computing cond probs
+				U.$( i => net.count[ i ][ net[ i ].index( U ) ][ U[ i ] ]++ );
+			
+			if ( cases ) cases.push( U.slice() );	// joint node states for learning structure
+			
+			if ( hists ) 	// to-state counts given the last 0 ... m states for fitting markov orders
+				U.$( n => {
+					var hist = hists[n];
+					
+					hist.push( U1[n] );
+					if ( hist.length > m ) hist.shift();
+					
+					if ( hist.length == m ) 	// same transitions for every order
+						tuples.$( j => {
+							var key = hist.slice(m-j).join(",");
+							( tuples[j][key] = tuples[j][key] || $(K, $zero) )[ U[n] ]++;
+						});
+				});
+			
+			if ( emP && !evs ) {
+				var gen = emP.gen;
+				U.$( n => {
+					//Log(n,U[n], n % K, K);
+					var obs = emP.obs[n] = gen[ ran.markov ? U[n] : n % K ].sample( rngs ? rngs[n] : rng );
+					
+					if ( seqs ) {
+						seqs[n].push( obs );
+						paths[n].push( U[n] );
+					}
+					
+					if ( hmm ) ran.onObs(n, obs);
+				});
+			}
 		}
-	}
 	
-	else
-		return [[1]];
-}
-
-function perms(vec,dims,vecs,norm) {  //< generate permutations
-
-	if (vec.length == dims.length) 
-		vecs.push(vec);
-	
-	else 
-		for (var idx = 0, max = dims[vec.length]; idx<max; idx++) 
-			perms(vec.concat( norm ? norm(idx,max) : idx), dims, vecs,norm);
+		else  // stateless process
+			U.$( n => {   // adjust counters
+				UK[ n ] += U[ n ];
+			});
+		
+		if ( ran.series ) 	// process (or correlation-mapped state) values for the psd
+			U.$( n => ran.series[n].push( K ? ran.corrMap[ U[n] ] : U[n] ) );
+		
+		if ( ran.trajectory && !( s % ran.trajectory.stride ) ) this.onTrajectory();
+			
+		//Log( (t<10) ? "0"+t : t, U.join(""));
+		//if (t<50) Log( t<10 ? "0"+t : t,U,UK);		
+		//if (t<5) Log(t,N0);
+		
+		this.onStep();
+		this.t += this.dt;
+		this.s++;
+	}
 	
-	return vecs;
-}
-
-function poisson(m,a) {
-	// a^m e(-a) / m!
-	for (var sum=0,k=m; k; k--) sum += log(k);
-	return exp( m*log(a) - a - sum );	
-}
+	start ( done ) {	  // start process in learning (reverse) or generative (forward) mode with callback done() at its end
+		var 
+			ran = this,
+			U = this.U,
+			interpolate = false,
+			batch = this.batch;
 
-function dirichlet(alpha,grid,logP) {  // dirchlet allocation
-	var 
-		K = alpha.length,
-		N = x[0].length,
-		logBs = $(K, (k,B) => B[k] = GAMMA.log( alpha[k] ) ),
-		logB = logBs.sum() - GAMMA.log( alpha.sum() );
-	
-	grid.$( n => {
-		var
-			logAs = $(K, (k,A) => A[k] = (alpha[k] - 1) * log( grid[k] ) ),
-			logA = logAs.sum();
-	
-		logP[n] = logA - logB;
-	});
-}	
+		if ( ran.error ) throw ran.error;	// invalid config
 
-function index(keys, dims) {
-	var N  = dims.length, idx = 0, off = 1;
-	
-	if (keys.length == 1)
-		idx = parseInt(keys[0]);
-	
-	else
-		for (var n=0; n<N; off *= dims[n], n++) 
-			idx += off * parseInt( keys[n] );
+		if ( ran.learn && !ran.halt )  // learning mode
+			ran.learn( function supervisor(evs, cb) {  // process events when evs, or terminate with callback(results) when evs exhausted
 
-	//Log( keys, idx);
-	
-	return idx;
-}
+				if (evs) {
+					//Log("FEEDING "+evs.length + " len="+evs[0].t);
+					ran.step(evs);
+				}
 
-[  
-	function index(key, K, cb) {
-		if (cb)
-			if (key.length == this.length) 
-				cb( key );
+				else {
+					//Log("HALTING", ran.t, ran.steps);
+					ran.halt = true;
+					ran.onEnd();
+					if (done) done();
+					if (cb)
+						cb({  // callback with a ran ctx 
+							store: ran.store,  // output event store
+							T: ran.steps,		// observation time
+							F: ran.F,	// event count frequencies
+							f: mass( ran.F, N, false),	// event count probabilities
+							Nevs: counts( ran.F ), 	// total number of events
+							J: ran.UK,		// ensemble counts
+							N: ran.N		// ensemble size
+						});
+				}
 
-			else
-				for (var k=0; k<K; k++)
-					this.index( key+k, K, cb );
+				if ( batch )
+					if ( ran.s % batch == 1 ) ran.onBatch();
+			});
 		
-		else {
-			var 
-				vars = key,
-				key = "";
+		else { // generative mode
+			//Log("start gen", ran.steps, ran.N);
 			
-			for (var n=0, N=this.length; n<N; n++) key += vars[ this[n] ];
-
-			return key;
+			while (ran.s < ran.steps) ran.advance();  // advance process to end
+			
+			ran.onEnd();
+			if (done) done();
 		}
-	},
+		
+	}
 	
-	function sample(delta) {
-		var 
-			A = this,
-			k = 0,
-			rtn = $( floor(A.length/delta), (n,NR) => NR[n] = A[k += delta] );
-			return rtn;
-	},
+	advance ( ) {	// advance the generative process one step
+		var batch = this.batch;
+		
+		this.step(null);
+		
+		if ( batch )
+			if ( this.s % batch == 1 ) this.onBatch();
+	}
 	
-	function sum(cb) {
-		for (var A=this, Sum=0, k=0, K= A.length; k<K; k++) Sum+= A[k];
-
-		if (cb) cb(Sum,this);
-
-		return Sum;
-	},
-
-	function avg() {
-		return this.sum() / this.length;
-	},
+	corrTime ( ) {  // return correlation time computed as area under normalized auto correlation function
+		
+		if ( this.K ) { // categorical process
+			var Tc = 0;
+			for (var t=0, T = this.t; t<T; t++) Tc += abs(this.gamma[t]) * (1 - t/T);
 
-	function max() {
-		var A = this, Amax = -1e99, Aidx = 0;
-		A.$( (k) => {
-			if ( A[k] > Amax ) {
-				Amax = A[k];
-				Aidx = k;
-			}
-		});
-		return Amax;
+			Tc *= this.dt / this.gamma[0] / 2;
+		}
+		
+		else
+			var Tc = 0;
+		
+		return Tc;
 	}
+	
+	countFreqs ( ) {  // return count frequencies across the ensemble
 
-	/*function use(cb) {	// use vector A with callback cb(idx,A)
-		var A = this, N = A.length;
+		var
+			UK = this.UK,  // ensemble counters
+			K = this.K,	// number of states (0 = stateless process)
+			Kmax = K ? UK.max() : floor( UK.max() ),
+			F = this.F = $( 1 + Kmax , $zero );  
 
-		if (A.rows) {
-			var M = A.rows, N = A.columns;
+		UK.$( n => F[ K ? UK[n] : floor( UK[n] ) ]++ ); 
+		return F;
+	}
+	
+	record (at, ev) {  // record event ev labeled at to store or stream
+		if ( ev.t == undefined ) ev.t = this.t;
+		ev.at = at;
+		this.filter(this.store, ev, this);
+	}
+	
+	// State methods
+	
+	onBatch () {    // record MLE jump rates and trans probs
+		var 
+			ran = this,
+			K = this.K,
+			t = this.t,
+			s = this.s,
+			N = this.N,
+			net = this.net,
+			F = this.countFreqs();
 
-			for (var m=0; m<M; m++) for (var n=0, Am = A[m]; n<N; n++) cb(m,n,A,Am);
-			return A;
+		if (K) {
+			if ( this.net ) this.condProbs( );
+			this.eqProbs( );
+			this.transProbs( );
+			this.holdTimes( );
+			if ( this.hmm ) this.hmmLearn( );
+			if ( this.NB ) this.NB.push( this.batchCounts( ) );
 		}
-
+		
 		else
-			for (var n=0,N=A.length; n<N; n++) cb(n,A);
-
-		return A;
-	}	*/
+		if ( this.markov ) {	// relative error between mle and actual trans probs
+			var 
+				trP = this.markov,
+				ref = 0,
+				err = this.err = trP   
+					? abs( mleA[ref][ref] - trP[ref][ref] ) / trP[ref][ref]
+					: 0;
+		}
+		
+		else
+			var err = 0;
+		
+		//Log("batch", t, F.length, this.UK.avg().toFixed(4), F.join(" "));
+		
+		this.record("batch", {
+			count_freq: F,
+			count_prob: $( F.length, n => F[n]/N ),
+			rel_error: err,
+			mle_tr_probs: this.mleA,
+			mle_hold_time: this.mleR,
+			mle_generator: this.mleQ,
+			eq_probs: K ? this.eqP : null,
+			eq_cond_probs: net ? net.theta : null,
+			stat_corr: K ? this.gamma[ s-1 ] : 0,
+			hmm_loglik: this.hmm ? this.hmm.loglik : null,
+			ou_fit: this.ornstein ? this.ouFit( ) : null,
+			posterior: ( K && this.posterior ) ? this.posteriorStats( ) : null,
+			convergence: ( this.convergence && this.convergence.mix ) ? this.convergenceStats( ) : null
+		});	
+	}
+
+	onError ( msg ) {	// record process error condition
+		this.record("error", { 
+			error: msg
+		});
+	}
+	
+	onJump (index,state,hold,t) {  // record process jump info at time t (defaults to process time)
+		this.record("jump", {
+			index: index, state:state, hold:hold, t:t
+		});
+	}
+	
+	onTest (result) {  // record test statistic, degrees of freedom and p-value
+		this.record("test", result);
+	}
+	
+	onArrive (index,t) {  // record point process arrival at time t
+		this.record("arrive", {
+			index: index, t: t
+		});
+	}
+	
+	onDecode (index,path,probs) {  // record decoded state path and posterior state probs
+		this.record("decode", {
+			index: index, path: path, post_probs: probs
+		});
+	}
+	
+	onReact (index,reaction,fires,counts,t) {  // record reaction (-1 if leaping) firings and resulting species counts at time t
+		this.record("react", {
+			index: index, reaction: reaction, fires: fires, counts: counts.slice(), t: t
+		});
+	}
+	
+	onObs (index,obs) {  // record hidden process observation using the event keys
+		var keys = this.keys, ev = {};
+		ev[keys.index] = index;
+		ev[keys.value] = obs;
+		this.record("obs", ev);
+	}
+	
+	onTrajectory () {	// record encoded ensemble state snapshot
+		var 
+			traj = this.trajectory,
+			U = this.U,
+			last = traj.last,
+			ev = { s: this.s, N: this.N };
+		
+		if ( !this.K ) {	// stateless values
+			ev.encoding = "float";
+			ev.data = U.slice();
+		}
+		
+		else
+		if ( traj.encoding == "delta" && last ) {	// [index, state, ...] of the changed members
+			ev.encoding = "delta";
+			ev.data = [];
+			U.$( n => { if ( U[n] != last[n] ) ev.data.push( n, U[n] ); } );
+		}
+		
+		else {	// [state, run, ...] over the members
+			ev.encoding = "rle";
+			ev.data = [];
+			U.$( n => {
+				var D = ev.data, k = D.length;
+				
+				if ( k && D[k-2] == U[n] ) D[k-1]++;
+				else D.push( U[n], 1 );
+			});
+		}
+		
+		traj.last = U.slice();
+		this.record("trajectory", ev);
+	}
+	
+	static decodeTrajectory( evs ) {	// rebuild the N x snapshots state matrix from recorded trajectory events
+		var 
+			snaps = evs.filter( ev => ev.at == "trajectory" ).sort( (a,b) => a.s - b.s ),
+			N = snaps.length ? snaps[0].N : 0,
+			X = $(N, (n,X) => X[n] = [] ),
+			U = $(N, $zero);
+		
+		snaps.forEach( ev => {
+			var data = ev.data;
+			
+			switch ( ev.encoding ) {
+				case "float":
+					U = data.slice();
+					break;
+					
+				case "delta":
+					for (var i=0; i<data.length; i+=2) U[ data[i] ] = data[i+1];
+					break;
+					
+				case "rle":
+					U = [];
+					for (var i=0; i<data.length; i+=2) 
+						for (var r=0; r<data[i+1]; r++) U.push( data[i] );
+					break;
+			}
+			
+			U.forEach( (u,n) => X[n].push(u) );
+		});
+		
+		return X;
+	}
+	
+	onStep () {		// record process step info
+		this.record("step", {
+			gamma:this.gamma[this.s],
+			walk: this.wiener ? this.wiener.X : []
+		});
+	}
+
+	onConfig() {  // record process config info
+		this.record("config", {
+			states: this.K,
+			ensemble_size: this.N,		
+			sample_time: this.dt,
+			nyquist: 1/this.dt/2,
+			cum_tr_probs: this.cumP,
+			
+			markov_tr_probs: this.markov,
+			generator: this.generator,
+			//trans_mode: this.transMode,
+			
+			mean_recur_times: this.NR,
+			analytic_recur_times: this.recurTimes,
+			eq_probs: this.eqP,
+			mixes: this.mixing ? this.mixing.parm : null,
+			snr: this.mixing ? this.mixing.snr0 : 0,
+			chain_classes: ( this.markov && this.K ) ? chainClasses( this.markov ) : null,
+			convergence: ( this.convergence && this.convergence.mix ) 
+				? Copy( this.convergence.mix, {
+					tr_powers: this.convergence.powers.map( n => ({ n: n, probs: this.transPower( n ) }) )
+				})
+				: null,
+			run_steps: this.steps,
+			kl_expansion: this.gauss 
+				? {
+					values: this.gauss.values,
+					vectors: this.gauss.vectors,
+					ref: this.gauss.ref,
+					dim: this.gauss.dim,
+					grid: this.gauss.grid,
+					mean: this.gauss.mean
+				}
+				: null,
+			absorb_times: this.ab,
+			hit_times: ( this.hitting && this.hitting.analytic ) ? this.hitting.analytic : null
+		});
+	}
+	
+	onEnd() {  // record process termination info
+		
+		//Log("onend", this.obs.length);
+		
+		var 
+			ran = this,
+			batch = this.batch,
+			T = this.steps,
+			Tc = this.corrTime(),
+			Kbar = this.UK.avg(),
+			M = T / Tc,
+			delta = Kbar / M,
+			F = this.countFreqs(),
+			K = this.K,
+			emP = this.mixing,
+			hmm = this.hmm,
+			mleB = this.mleB = hmm 
+				? this.hmmLearn( true ) 
+				: emP ? EM( emP.obs, K) : null,
+			accuracy = this.decode ? this.decodeStates( ) : null,
+			struct = this.structure ? this.structLearn( ) : null;
+
+		if ( K && this.tests ) this.testCounts( );
+		
+		//Log("onend UK", UK);
+		
+		this.record("end", {  // record supervised stats
+			stats: {
+				mle_holding_times: ran.mleR,
+				mle_generator: ran.mleQ,
+				rel_error: ran.err,
+				count_freq: F,
+				mle_em_probs: ran.mleB,
+				mle_tr_probs: ran.mleA,
+				mle_init_probs: ran.mleP0,
+				hmm_loglik: hmm ? hmm.loglik : null,
+				decode_accuracy: accuracy,
+				reactions: ran.gillespie ? ran.reactStats( ) : null,
+				walk: ran.wiener ? ran.walkStats( ) : null,
+				ou_fit: ran.ornstein ? ran.ouFit( ) : null,
+				intensity: ran.poisson ? ran.intensity( ) : null,
+				markov_orders: ran.order ? ran.orderFit( ) : null,
+				hold_fits: ran.semi ? ran.holdFits( ) : null,
+				posterior: ( K && ran.posterior ) ? ran.posteriorStats( ) : null,
+				spectrum: ran.spectrum ? ran.psd( ) : null,
+				hit_times: ( ran.hitting && ran.hitting.first ) ? ran.hitStats( ) : null,
+				analytic_recur_times: ran.recurTimes,
+				recur_times: ran.UP ? ran.passageStats( ) : null,
+				learned_dag: struct ? struct.dag : null,
+				learned_cond_probs: struct ? struct.theta : null,
+				dag_score: struct ? struct.score : null,
+				tr_counts: ran.N1,
+				mean_count: Kbar, 
+				coherence_time: Tc, 
+				coherence_intervals: M,
+				correlation_0lag: ran.gamma[0],
+				mean_intensity: Kbar / T,
+				degeneracy_param: delta,
+				snr: sqrt( Kbar / (1 + delta ) )
+			}
+		});
+
+		if (false)
+			if (evs = this.store)
+				evs.forEach( ev => {
+					ev.s = ev.t / Tc;
+				});
+	}
+
+	end(stats, saveStore) {  // terminate process
+		this.record("end", {  // post learning stats
+			stats: stats ? Copy(stats,{}) : {error:"stats unavailable"} 
+		});  
+		if (saveStore) saveStore( this.store );
+	}
+	
+	pipe(sinkStream) {  // pipe events to a sinking stream or to a callback sinkStream(events)
+		var 
+			ran = this,
+			sync = (typeof sinkStream) == "function";
+
+		if ( ran.error ) throw ran.error;	// invalid config
+		
+		Trace( `PIPE${sync ? "sync" : "async"}` );
+		
+		if  (sync) {  // pipe is sync mode using array store
+			if ( ran.piped ) throw new Error( "process events already piped or read" );
+			
+			ran.piped = true;
+			ran.store = [];
+			ran.onConfig();		// process configured
+			ran.start();
+			
+			sinkStream( ran.store );
+		}
+			
+		else {	// pipe in async mode
+			var
+				ranStream = ran.readable(),	// 1st stage generates filtered events
+
+				charStream = new STREAM.Transform({  // 2nd stage makes events human readable 
+					writableObjectMode: true,
+					transform: function (ev,en,cb) {
+						this.push( JSON.stringify(ev) ); 
+						cb(null);
+					}
+				});
+
+			ranStream.pipe(charStream).pipe(sinkStream);
+		}
+			
+	}
+	
+	readable ( ) {	// return an object-mode readable of the filtered events that advances the process as they are read
+		if ( this.error ) throw this.error;	// invalid config
+		if ( this.piped ) throw new Error( "process events already piped or read" );
+		
+		var 
+			ran = this,
+			started = false,
+			store = ran.store = {	// filter pushes events into the stream
+				ready: true,	// last push() accepted more events
+				drain: null,	// resumes a paused learner
+				push: ev => store.ready = stream.push(ev)
+			},
+			stream = new STREAM.Readable({
+				objectMode: true,
+				read: function () {  // advance until push() asks to wait, and terminate at the end
+					store.ready = true;
+					
+					if ( ran.learn ) {	// learning is paced by the learner
+						if ( !started ) {
+							started = true;
+							ran.start( () => stream.push(null) );
+						}
+						
+						else
+						if ( store.drain ) {
+							var drain = store.drain;
+							
+							store.drain = null;
+							drain();
+						}
+					}
+					
+					else {
+						while ( store.ready && ran.s < ran.steps ) ran.advance();
+						
+						if ( store.ready && !started ) {	// terminate
+							started = true;
+							ran.onEnd();
+							stream.push(null);
+						}
+					}
+				}
+			});
+		
+		ran.piped = true;
+		
+		ran.onConfig();		// process configured
+		return stream;
+	}
+	
+	[Symbol.asyncIterator] ( ) {	// for await (const ev of ran) over the filtered events
+		return this.readable()[Symbol.asyncIterator]();
+	}
+	
+	paused ( resume ) {	// true when the reader asks the learner to wait, then calls resume() when it reads again
+		var store = this.store;
+		
+		if ( store && store.ready === false ) {
+			store.drain = resume;
+			return true;
+		}
+		
+		return false;
+	}
+		
+}
+
+module.exports = RAN;
+
+function expdev(mean, rng) {
+	return -mean * log( (rng || random)() );
+}
+
+function poissdev(mean, rng) {  // poisson deviate (knuth for small means, else rounded gauss)
+	if ( mean > 30 ) 
+		return max( 0, round( mean + sqrt(mean) * gaussdev(rng) ) );
+	
+	for (var k = 0, L = exp(-mean), p = rng(); p > L; k++) p *= rng();
+	return k;
+}
+
+function propensities(reactions, X) {  //< reaction propensities rate * prod_s binomial( X[s], inp[s] )
+	return reactions.map( react => {
+		var a = react.rate, inp = react.inp;
+		
+		inp.$( s => {
+			for (var m=0; m<inp[s]; m++) a *= (X[s] - m) / (m + 1);
+		});
+		
+		return max( a, 0 );
+	});
+}
+
+function gaussdev(rng) {  // zero-mean, unit-variance gaussian deviate via box-muller
+	return sqrt( -2 * log( 1 - rng() ) ) * cos( 2 * PI * rng() );
+}
+
+function gammadev(shape, rng) {  //< unit-scale gamma deviate by marsaglia-tsang (boosted for shape < 1)
+	var 
+		d = ( (shape < 1) ? shape + 1 : shape ) - 1/3,
+		c = 1 / sqrt( 9 * d );
+	
+	for (;;) {
+		var z = gaussdev(rng), v = ( 1 + c * z )**3, u = rng();
+		
+		if ( v > 0 && log(u) < 0.5 * z*z + d - d*v + d * log(v) ) 
+			return d * v * ( (shape < 1) ? rng() ** (1/shape) : 1 );
+	}
+}
+
+function dirichletDev(alpha, rng) {  //< probs drawn from a dirichlet with concentrations alpha
+	var 
+		g = alpha.map( a => a ? gammadev( a, rng ) : 0 ),
+		sum = g.sum();
+	
+	return g.map( g => g / sum );
+}
+
+function credible(draws, level) {  //< elementwise mean, std error and equal-tailed credible interval of sampled (nested) arrays
+	var
+		S = draws.length,
+		lo = floor( (1 - level) / 2 * (S - 1) ),
+		stats = pick => {
+			var 
+				x = draws.map( pick ).sort( (a,b) => a - b ),
+				mean = x.sum() / S;
+			
+			return { 
+				mean: mean, 
+				stderr: sqrt( x.reduce( (sum,x) => sum + (x - mean)**2, 0 ) / max(S - 1, 1) ), 
+				lo: x[ lo ], 
+				hi: x[ S - 1 - lo ] 
+			};
+		},
+		walk = (pick, proto) => ( proto.constructor == Array ) 
+			? proto.map( (p,i) => walk( draw => pick(draw)[i], p ) ) 
+			: stats( pick ),
+		split = (tree, key) => ( tree.constructor == Array ) ? tree.map( tree => split(tree, key) ) : tree[key],
+		tree = walk( draw => draw, draws[0] );
+	
+	return {
+		mean: split( tree, "mean" ),
+		stderr: split( tree, "stderr" ),
+		lo: split( tree, "lo" ),
+		hi: split( tree, "hi" )
+	};
+}
+
+function cellStat(O, E, stat) {  //< chi-square or G contribution of observed count O against expected count E
+	if ( !E ) return O ? Infinity : 0;
+	
+	return ( stat == "chi2" ) 
+		? (O - E)**2 / E 
+		: O ? 2 * O * log( O / E ) : 0;
+}
+
+function contingency(T, stat) {  //< chi-square or G independence statistic and df of a contingency table over its nonzero rows and cols
+	var
+		rows = T.map( row => row.sum() ),
+		cols = T[0].map( (c,j) => T.reduce( (sum,row) => sum + row[j], 0 ) ),
+		total = rows.sum(),
+		statistic = 0;
+	
+	if ( total ) 
+		T.$( i => T[i].$( j => statistic += cellStat( T[i][j], rows[i] * cols[j] / total, stat ) ) );
+	
+	return { 
+		statistic: statistic, 
+		df: max( rows.filter( n => n ).length - 1, 0 ) * max( cols.filter( n => n ).length - 1, 0 )
+	};
+}
+
+function chi2Tail(x, df) {  //< upper tail prob of chi-square statistic x on df degrees of freedom (regularized incomplete gamma)
+	if ( df <= 0 ) return null;
+	if ( !(x > 0) ) return 1;
+	if ( x == Infinity ) return 0;
+	
+	var a = df / 2, z = x / 2, norm = exp( a * log(z) - z - lgamma(a) );
+	
+	if ( z < a + 1 ) {	// series for the lower tail
+		for (var ap = a, del = 1/a, sum = del, n=0; n<500 && abs(del) > abs(sum) * 1e-15; n++) sum += del *= z / ++ap;
+		return max( 1 - sum * norm, 0 );
+	}
+	
+	else {	// lentz continued fraction for the upper tail
+		for (var b = z + 1 - a, c = 1e300, d = 1/b, h = d, n=1; n<500; n++) {
+			var an = -n * (n - a);
+			
+			b += 2;
+			d = an * d + b; if ( abs(d) < 1e-300 ) d = 1e-300;
+			c = b + an / c; if ( abs(c) < 1e-300 ) c = 1e-300;
+			d = 1/d;
+			
+			var del = d * c;
+			h *= del;
+			if ( abs(del - 1) < 1e-15 ) break;
+		}
+		
+		return h * norm;
+	}
+}
+
+function configFail(errs, cb, ran) {  //< mark the ran invalid and report config errs through cb(err) or throw them when there is no cb
+	var err = ran.error = new Error( "invalid config: " + errs.join("; ") );
+	
+	err.errors = errs;
+	if ( cb ) cb( err );
+	else throw err;
+}
+
+function configErrors(ran) {  //< return the problems with the ran config
+	var 
+		errs = [],
+		tol = 1e-6,
+		isMatrix = A => Array.isArray(A) && A.every( row => Array.isArray(row) && row.length == A.length ),
+		isNumber = x => typeof x == "number" && isFinite(x),
+		procs = [ "generator", "markov", "bayes", "gillespie", "gauss", "wiener", "ornstein", "poisson" ]
+			.filter( key => ran[key] || ( key == "markov" && ( ran.p || ran.alpha ) ) ),
+		markov = ran.markov,
+		gen = ran.generator,
+		emP = ran.mixing,
+		K = 0;
+	
+	if ( procs.length > 1 ) 
+		errs.push( `only one process type can be given but found ${procs.join(", ")}` );
+	
+	if ( markov && ( ran.p || ran.alpha ) || ( ran.p && ran.alpha ) )
+		errs.push( "only one of markov, p or alpha can give the trans probs" );
+	
+	if ( ran.p ) {
+		var n = ran.p.length, Kp = (1 + sqrt(1+8*n)) / 2;
+		
+		if ( Kp != round(Kp) ) 
+			errs.push( `p has ${n} trans probs but needs (K^2-K)/2 for some K` );
+		
+		if ( !ran.p.every( p => isNumber(p) && p >= 0 && p <= 1 ) ) 
+			errs.push( "p trans probs must be in [0,1]" );
+	}
+	
+	if ( ran.alpha && !ran.alpha.every( a => isNumber(a) && a > 0 ) ) 
+		errs.push( "alpha jump rates must be positive" );
+	
+	if ( markov ) 
+		if ( Array.isArray(markov) ) {	// K^2 trans probs
+			if ( isMatrix(markov) ) {
+				K = markov.length;
+				markov.forEach( (row,fr) => {
+					if ( !row.every( p => isNumber(p) && p >= 0 ) ) 
+						errs.push( `markov row ${fr} has negative or invalid probs` );
+					
+					else
+					if ( abs( row.reduce( (sum,p) => sum + p, 0 ) - 1 ) > tol ) 
+						errs.push( `markov row ${fr} sums to ${row.reduce( (sum,p) => sum + p, 0 )} not 1` );
+				});
+			}
+			
+			else
+				errs.push( "markov trans probs must be a square matrix" );
+		}
+		
+		else
+		if ( typeof markov != "object" ) 
+			errs.push( "markov must be a K^2 trans prob matrix or a { states: K, ... } object" );
+		
+		else {	// { states: K, order: m, "from,...": { to: prob, ... }, ... }
+			var 
+				m = markov.order || 1,
+				isState = key => /^\d+$/.test(key) && parseInt(key) < K,
+				isKey = key => {	// m states, or a first-order comma-key that indexes a state
+					var keys = key.split(",");
+					
+					return keys.every( isState ) && ( ( m > 1 ) ? keys.length == m : index( keys, [K] ) < K );
+				};
+			
+			K = markov.states || ran.K;
+			
+			if ( !Number.isInteger(K) || K < 1 ) 
+				errs.push( "markov states must be a positive integer" );
+			
+			if ( !Number.isInteger(m) || m < 1 ) 
+				errs.push( "markov order must be a positive integer" );
+			
+			else
+			if ( K >= 1 )
+				for (var frKey in markov) 
+					if ( frKey != "states" && frKey != "order" ) {
+						var 
+							frP = markov[frKey],
+							sum = 0;
+						
+						if ( !isKey(frKey) ) 
+							errs.push( `markov from-key "${frKey}" refers to states >= ${K}` + ( (m > 1) ? ` or is not ${m} states` : "" ) );
+						
+						for (var toKey in frP) {
+							if ( ( m > 1 ) ? !isState(toKey) : !isKey(toKey) ) 
+								errs.push( `markov to-key "${toKey}" of "${frKey}" refers to states >= ${K}` );
+							
+							if ( !isNumber( frP[toKey] ) || frP[toKey] < 0 ) 
+								errs.push( `markov prob "${frKey}" to "${toKey}" must be non-negative` );
+							
+							else
+								sum += frP[toKey];
+						}
+						
+						if ( sum > 1 + tol ) 
+							errs.push( `markov probs from "${frKey}" sum to ${sum} > 1` );
+					}
+		}
+	
+	if ( gen ) 
+		if ( isMatrix(gen) ) {
+			K = gen.length;
+			gen.forEach( (row,fr) => {
+				if ( !row.every( (q,to) => isNumber(q) && ( q >= 0 || to == fr ) ) ) 
+					errs.push( `generator row ${fr} has negative or invalid jump rates` );
+			});
+		}
+		
+		else
+			errs.push( "generator jump rates must be a square matrix" );
+	
+	if ( ran.ctmode && !gen ) 
+		errs.push( "ctmode requires the jump rates of a generator" );
+	
+	if ( ran.semi && !ran.learn && !markov && !gen && !ran.p && !ran.alpha ) 
+		errs.push( "semi-markov process requires a markov or generator jump chain" );
+	
+	if ( ran.bayes ) {
+		K = ( ran.bayes.eqP || [0.5, 0.5] ).length;
+		
+		if ( ran.bayes.dag && !topoOrder( ran.bayes.dag, ran.N ) ) 
+			errs.push( "bayes dag has a cycle" );
+	}
+	
+	if ( ran.K && K && ran.K != K ) 
+		errs.push( `K=${ran.K} disagrees with the ${K} process states` );
+	
+	K = K || ran.K;
+	
+	if ( emP && emP.mu ) {	// explicit mixes
+		var 
+			mu = emP.mu,
+			sigma = emP.sigma || emP.cov,
+			D = Array.isArray( mu[0] ) ? mu[0].length : 0;
+		
+		if ( !Array.isArray(mu) || !D || !mu.every( mu => Array.isArray(mu) && mu.length == D && mu.every( isNumber ) ) ) 
+			errs.push( "mixing mu must be a list of equal-length mean vectors" );
+		
+		else {
+			if ( K && mu.length != K ) 
+				errs.push( `mixing has ${mu.length} means but the process has ${K} states` );
+			
+			if ( !Array.isArray(sigma) || sigma.length != mu.length ) 
+				errs.push( `mixing sigma must give a covar for each of the ${mu.length} means` );
+			
+			else
+				sigma.forEach( (A,k) => {
+					if ( !isMatrix(A) || A.length != D || !A.every( row => row.every( isNumber ) ) ) 
+						errs.push( `mixing sigma ${k} must be a ${D}x${D} matrix` );
+					
+					else
+					if ( !A.every( (row,i) => row.every( (a,j) => abs( a - A[j][i] ) <= tol * ( 1 + abs(a) ) ) ) ) 
+						errs.push( `mixing sigma ${k} must be symmetric` );
+					
+					else
+					if ( !cholesky(A) ) 
+						errs.push( `mixing sigma ${k} must be positive definite` );
+				});
+		}
+		
+		K = K || mu.length;
+	}
+	
+	else
+	if ( emP ) {	// derived mixes
+		if ( emP.oncov && !( Array.isArray(emP.oncov) && emP.oncov.every( c => isNumber(c) && c > 0 ) ) ) 
+			errs.push( "mixing oncov must be positive variances" );
+		
+		if ( emP.mixes != null && !( Number.isInteger(emP.mixes) && emP.mixes > 0 ) ) 
+			errs.push( "mixing mixes must be a positive integer" );
+		
+		if ( emP.dim != null && !( Number.isInteger(emP.dim) && emP.dim >= 0 ) ) 
+			errs.push( "mixing dim must be a non-negative integer" );
+		
+		K = K || emP.mixes || 2;
+	}
+	
+	if ( ran.poisson && typeof ran.poisson.rate == "function" && !ran.poisson.cox && !ran.learn ) 
+		if ( !isNumber( ran.poisson.max ) || ran.poisson.max <= 0 ) 
+			errs.push( "poisson rate function requires a positive max bound for thinning" );
+	
+	if ( ran.symbols && K ) {
+		var 
+			syms = ran.symbols,
+			Ks = Array.isArray(syms) ? syms.length : ( typeof syms == "object" ) ? Object.keys(syms).length : syms;
+		
+		if ( Ks != K ) 
+			errs.push( `symbols give ${Ks} states but the process has ${K}` );
+		
+		else
+		if ( !Array.isArray(syms) && typeof syms == "object" ) {
+			var idx = Object.keys(syms).map( key => syms[key] ).sort( (a,b) => a-b );
+			
+			if ( !idx.every( (k,i) => k === i ) ) 
+				errs.push( `symbols must map the states to the indicies 0 ... ${K-1}` );
+		}
+	}
+	
+	return errs;
+}
+
+function fileLearner(spec, ran) {  //< learner(supercb) stepping the time-grouped events of an NDJSON or CSV file or stream
+	var 
+		spec = Copy( ( typeof spec == "string" ) ? { path: spec } : spec, {	// defaults
+			path: null,		// event file
+			stream: null,	// event stream
+			format: null,	// ndjson || csv
+			at: null,		// accepted event at
+			delimiter: ","	// csv delimiter
+		}),
+		csv = ( spec.format || ( /\.csv$/i.test( spec.path || "" ) ? "csv" : "ndjson" ) ) == "csv",
+		keys = null,	// event keys once configured
+		header, line, group, last;	// state of the current pass (reset by each learner call)
+	
+	function parse(text) {	// row object from a line (null if blank or malformed)
+		var 
+			text = text.trim(),
+			row = null;
+		
+		if ( !text ) return null;
+		
+		if ( csv ) {
+			var cols = text.split( spec.delimiter ).map( col => {
+				col = col.trim().replace( /^"(.*)"$/, "$1" );
+				return ( col != "" && !isNaN(col) ) ? Number(col) : col;
+			});
+			
+			if ( !header ) {
+				header = cols;
+				return null;
+			}
+			
+			if ( cols.length != header.length ) 
+				return ran.onError( `line ${line}: expected ${header.length} columns but found ${cols.length}` ), null;
+			
+			row = {};
+			header.forEach( (key,i) => row[key] = cols[i] );
+		}
+		
+		else
+			try {
+				row = JSON.parse( text );
+			}
+			catch (err) {
+				return ran.onError( `line ${line}: ${err.message}` ), null;
+			}
+		
+		return row;
+	}
+	
+	function event(row) {	// keyed event from a row (null if skipped or malformed)
+		var 
+			t = Number( row[keys.t] ),
+			n = ( row[keys.index] == null ) ? 0 : Number( row[keys.index] ),
+			ev = { t: t };
+		
+		if ( row.at != null && spec.at && row.at != spec.at ) return null;
+		
+		if ( row[keys.t] == null || !isFinite(t) ) 
+			return ran.onError( `line ${line}: missing or invalid time ${keys.t}` ), null;
+		
+		if ( !Number.isInteger(n) || n < 0 || n >= ran.N ) 
+			return ran.onError( `line ${line}: invalid ensemble index ${keys.index}=${row[keys.index]}` ), null;
+		
+		if ( t < last ) 
+			return ran.onError( `line ${line}: time ${t} precedes ${last}` ), null;
+		
+		ev[ keys.index ] = n;
+		ev[ keys.value ] = ( row[keys.state] !== undefined ) ? row[keys.state] : row[keys.value];
+		
+		if ( ran.K && !ran.hmm && !( ran.symbols[ ev[keys.value] ] < ran.K ) ) 
+			return ran.onError( `line ${line}: missing or unknown state ${keys.state}=${ev[keys.value]}` ), null;
+		
+		return ev;
+	}
+	
+	return function learner(supercb) {
+		keys = ran.keys;
+		header = null;	// csv header
+		line = 0;
+		group = [];		// events at the last time
+		last = -Infinity;	// last event time
+		
+		function feed(text) {	// step the prior group when the time advances
+			line++;
+			
+			var 
+				row = parse( text ),
+				ev = row ? event( row ) : null;
+			
+			if ( ev ) {
+				if ( group.length && ev.t != last ) {
+					supercb( group );
+					group = [];
+				}
+				
+				last = ev.t;
+				group.push( ev );
+			}
+		}
+		
+		function close() {
+			if ( group.length ) supercb( group );
+			supercb( null );
+		}
+		
+		if ( spec.stream ) {
+			var rest = "";
+			
+			spec.stream.on("data", chunk => {
+				var lines = ( rest + chunk ).split( /\r?\n/ );
+				
+				rest = lines.pop();
+				lines.forEach( feed );
+				
+				if ( ran.paused( () => spec.stream.resume() ) ) spec.stream.pause();	// backpressure
+			});
+			spec.stream.on("end", () => {
+				if ( rest ) feed( rest );
+				close();
+			});
+			spec.stream.on("error", err => {
+				ran.onError( err.message );
+				close();
+			});
+		}
+		
+		else {
+			var lines = [], next = 0;
+			
+			function pump() {	// feed lines until the reader asks to wait
+				while ( next < lines.length ) {
+					feed( lines[next++] );
+					if ( ran.paused( pump ) ) return;	// backpressure
+				}
+				
+				close();
+			}
+			
+			try {
+				lines = FS.readFileSync( spec.path, "utf8" ).split( /\r?\n/ );
+			}
+			catch (err) {
+				ran.onError( err.message );
+			}
+			
+			pump();
+		}
+	};
+}
+
+function cli(argv) {  //< run the generate, learn or analyze command given its --key value options
+	var 
+		cmd = argv[0],
+		opts = {},
+		cfg = {},
+		ran = null,
+		out = process.stdout,
+		print = obj => out.write( JSON.stringify(obj) + "\n" ),
+		fail = msg => {
+			process.stderr.write( msg + "\n" );
+			process.exitCode = 1;
+		},
+
+		make = cfg => {	// configured ran or null when the config is invalid
+			var 
+				ok = true,
+				ran = new RAN( cfg, err => {
+					if ( err ) {
+						fail( err.message );
+						ok = false;
+					}
+				});
+			
+			return ok ? ran : null;
+		};
+	
+	for (var n=1, N=argv.length; n<N; n++) {	// --key value || --flag
+		var 
+			key = argv[n].replace( /^--/, "" ),
+			val = ( n+1 < N && !argv[n+1].startsWith("--") ) ? argv[++n] : "true";
+		
+		try {
+			opts[key] = JSON.parse( val );
+		}
+		catch (err) {
+			opts[key] = val;
+		}
+	}
+	
+	var 
+		{ config, events, out: path, format, at } = opts;
+	
+	[ "config", "events", "out", "format", "at" ].forEach( key => delete opts[key] );
+	
+	try {
+		if ( config ) cfg = JSON.parse( FS.readFileSync( config, "utf8" ) );
+	}
+	catch (err) {
+		return fail( `config ${config}: ${err.message}` );
+	}
+	
+	Copy( opts, cfg );	// ENUM conventions so "key.key" indexes the config
+	
+	switch ( cmd ) {
+		case "generate":
+			var accept = at ? String(at).split(",") : null;
+			
+			if ( path ) out = FS.createWriteStream( path );
+			
+			cfg.learn = null;
+			cfg.filter = (str, ev) => {
+				if ( !accept || accept.indexOf( ev.at ) >= 0 ) str.push( ev );
+			};
+			
+			if ( ran = make( cfg ) ) 	// advance only as fast as the output drains
+				ran.readable()
+					.pipe( new STREAM.Transform({
+						writableObjectMode: true,
+						transform: (ev, en, cb) => cb( null, JSON.stringify(ev) + "\n" )
+					}) )
+					.pipe( out, { end: !!path } );
+			break;
+			
+		case "learn":
+			if ( events ) 
+				cfg.learn = ( events == "-" )
+					? { stream: process.stdin, format: format, at: at }
+					: { path: String(events), format: format, at: at };
+			
+			if ( !cfg.learn ) 
+				return fail( "learn requires --events file (or - for stdin) or a config learn path" );
+			
+			cfg.filter = (str, ev) => {
+				switch ( ev.at ) {
+					case "error":
+						process.stderr.write( ev.error + "\n" );
+						break;
+						
+					case "end":
+						print( ev.stats );
+						break;
+				}
+			};
+			
+			if ( ran = make( cfg ) ) 
+				ran.pipe( store => store );
+			break;
+			
+		case "analyze":
+			if ( !cfg.markov && !cfg.generator ) 
+				return fail( "analyze requires a markov or generator transition matrix" );
+			
+			cfg.learn = null;
+			cfg.filter = (str, ev) => {
+				if ( ev.at == "config" ) 
+					print({
+						states: ev.states,
+						markov_tr_probs: ev.markov_tr_probs,
+						generator: ev.generator,
+						eq_probs: ev.eq_probs,
+						mean_recur_times: ev.mean_recur_times,
+						analytic_recur_times: ev.analytic_recur_times,
+						absorb_times: ev.absorb_times,
+						chain_classes: ev.chain_classes,
+						hit_times: ev.hit_times,
+						convergence: ev.convergence
+					});
+			};
+			
+			if ( ran = make( cfg ) ) 
+				ran.onConfig();
+			break;
+			
+		default:
+			fail( "usage: node randpr.js [generate || learn || analyze] --config cfg.json [--events file] [--out file] [--at at,...] [--key value ...]" );
+	}
+}
+
+function hash32(str) {  // FNV-1a hash of a string
+	for (var h = 0x811c9dc5, n=0, N=str.length; n<N; n++) 
+		h = Math.imul( h ^ str.charCodeAt(n), 0x01000193 );
+	
+	return h >>> 0;
+}
+
+function prng(seed, stream) {  //< return a seeded uniform [0,1) generator (sfc32) on the requested substream
+	var 
+		x = hash32( seed + ":" + (stream || 0) ),
+		split = () => {  // splitmix32 to spread the seed over the generator state
+			var z = x = (x + 0x9e3779b9) | 0;
+			z = Math.imul( z ^ (z >>> 16), 0x85ebca6b );
+			z = Math.imul( z ^ (z >>> 13), 0xc2b2ae35 );
+			return (z ^ (z >>> 16)) | 0;
+		},
+		a = split(), b = split(), c = split(), d = split(),
+		next = () => {
+			var t = (a + b | 0) + d | 0;
+			d = d + 1 | 0;
+			a = b ^ (b >>> 9);
+			b = c + (c << 3) | 0;
+			c = (c << 21) | (c >>> 11);
+			c = c + t | 0;
+			return (t >>> 0) / 4294967296;
+		};
+	
+	for (var n=0; n<15; n++) next();	// discard warmup
+	return next;
+}
+
+function cholesky(A) {  //< return lower triangular L such that L L' = A, or null if A not pos-def
+	var 
+		D = A.length,
+		L = $( [D,D], $$zero );
+	
+	for (var i=0; i<D; i++) 
+		for (var j=0; j<=i; j++) {
+			for (var sum = A[i][j], k=0; k<j; k++) sum -= L[i][k] * L[j][k];
+			
+			if ( i == j ) 
+				if ( sum > 0 ) 
+					L[i][i] = sqrt(sum);
+				else
+					return null;
+			
+			else
+				L[i][j] = sum / L[j][j];
+		}
+	
+	return L;
+}
+
+function mvn(mu, sigma, rng) {  //< return a multivariate normal generator with sample(rng) using the specified rng
+	var 
+		L = cholesky( sigma ),
+		D = mu.length;
+	
+	if ( !L ) throw new Error("mvn sigma not positive definite");
+	
+	return {
+		mu: mu, 
+		sigma: sigma,
+		sample: R => {
+			var z = $(D, (i,z) => z[i] = gaussdev( R || rng ) );
+			return $(D, (i,x) => {
+				x[i] = mu[i];
+				for (var j=0; j<=i; j++) x[i] += L[i][j] * z[j];
+			});
+		}
+	};
+}
+
+function randRot(N, rng) {  //< return a random NxN rotation via gram-schmidt on a gaussian matrix
+	var R = $( [N,N], (i,j,R) => R[i][j] = gaussdev(rng) );
+	
+	R.$( i => {
+		var Ri = R[i];
+		for (var j=0; j<i; j++) {
+			var Rj = R[j], dot = 0;
+			Ri.$( k => dot += Ri[k] * Rj[k] );
+			Ri.$( k => Ri[k] -= dot * Rj[k] );
+		}
+		var norm = 0;
+		Ri.$( k => norm += Ri[k] * Ri[k] );
+		Ri.$( k => Ri[k] /= sqrt(norm) );
+	});
+	
+	return R;
+}
+
+function gaussForm(sigma) {  //< inverse and log determinant of a gauss covar (null if not pos-def)
+	var det = $.det( sigma );
+	
+	return ( det > 0 ) ? { inv: $.list( $.inv( sigma ) ), logdet: log( det ) } : null;
+}
+
+function gaussLogPdf(x, mu, F) {  //< log gauss density at x given mean mu and gaussForm F of the covar
+	for (var D = mu.length, quad = 0, i=0; i<D; i++) 
+		for (var j=0; j<D; j++) quad += ( x[i] - mu[i] ) * F.inv[i][j] * ( x[j] - mu[j] );
+	
+	return -quad/2 - F.logdet/2 - D * log( 2*PI ) / 2;
+}
+
+function forwardBackward(seq, hmm, Ls) {  //< scaled forward-backward on an observation sequence
+/*
+Returns the posterior state probs gamma[t][k], the expected from-to transition counts xi[fr][to] 
+and the log-likelihood of the sequence seq given the hmm = {A, pi, mu, sigma}.  Emission likelihoods 
+are referenced to their per-step max and the forward probs renormalized at each step to avoid underflow.
+*/
+	var
+		A = hmm.A, pi = hmm.pi, K = pi.length, T = seq.length,
+		Ls = Ls || hmm.sigma.map( gaussForm ),
+		loglik = 0,
+		B = $(T, (t,B) => {
+			var 
+				logB = $(K, (k,logB) => logB[k] = gaussLogPdf( seq[t], hmm.mu[k], Ls[k] ) ),
+				ref = logB.max();
+			
+			loglik += ref;
+			B[t] = $(K, (k,Bt) => Bt[k] = exp( logB[k] - ref ) );
+		}),
+		c = $(T),
+		alpha = $(T),
+		beta = $(T),
+		xi = $( [K,K], $$zero );
+	
+	for (var t=0; t<T; t++) {
+		var at = alpha[t] = $(K, (to,at) => {
+			if ( t ) 
+				for (var sum=0, fr=0; fr<K; fr++) sum += alpha[t-1][fr] * A[fr][to];
+			else
+				var sum = pi[to];
+			
+			at[to] = sum * B[t][to];
+		});
+		
+		c[t] = at.sum() || 1e-300;
+		at.$( k => at[k] /= c[t] );
+		loglik += log( c[t] );
+	}
+	
+	beta[T-1] = $(K, (k,b) => b[k] = 1 );
+	for (var t=T-2; t>=0; t--) 
+		beta[t] = $(K, (fr,b) => {
+			for (var sum=0, to=0; to<K; to++) sum += A[fr][to] * B[t+1][to] * beta[t+1][to];
+			b[fr] = sum / c[t+1];
+		});
+	
+	for (var t=0; t<T-1; t++) 
+		xi.$$( (fr,to) => xi[fr][to] += alpha[t][fr] * A[fr][to] * B[t+1][to] * beta[t+1][to] / c[t+1] );
+	
+	return {
+		gamma: $(T, (t,gamma) => gamma[t] = $(K, (k,g) => g[k] = alpha[t][k] * beta[t][k] ) ),
+		xi: xi,
+		loglik: loglik
+	};
+}
+
+function viterbi(seq, hmm, Ls) {  //< most likely hidden state path of an observation sequence given the hmm = {A, pi, mu, sigma}
+	var
+		A = hmm.A, pi = hmm.pi, K = pi.length, T = seq.length,
+		Ls = Ls || hmm.sigma.map( gaussForm ),
+		logA = $( [K,K], (fr,to,L) => L[fr][to] = log( A[fr][to] ) ),
+		delta = $(K, (k,d) => d[k] = log( pi[k] ) + gaussLogPdf( seq[0], hmm.mu[k], Ls[k] ) ),
+		psi = $(T),
+		path = $(T);
+	
+	for (var t=1; t<T; t++) {
+		var psit = psi[t] = $(K);
+		
+		delta = $(K, (to,d) => {
+			for (var best = -Infinity, arg = 0, fr=0; fr<K; fr++) 
+				if ( delta[fr] + logA[fr][to] > best ) {
+					best = delta[fr] + logA[fr][to];
+					arg = fr;
+				}
+			
+			psit[to] = arg;
+			d[to] = best + gaussLogPdf( seq[t], hmm.mu[to], Ls[to] );
+		});
+	}
+	
+	path[T-1] = delta.indexOf( delta.max() );
+	for (var t=T-1; t>0; t--) path[t-1] = psi[t][ path[t] ];
+	
+	return path;
+}
+
+function hmmInit(seqs, K, rng) {  //< initial hmm with sticky trans probs and means spread over the observation quantiles
+	var 
+		obs = [].concat( ...seqs ),
+		M = obs.length,
+		D = obs[0].length,
+		mu0 = $(D, (i,mu) => {
+			mu[i] = 0;
+			obs.forEach( x => mu[i] += x[i] / M );
+		}),
+		sigma0 = $( [D,D], (i,j,S) => {
+			S[i][j] = (i == j) ? 1e-6 : 0;	// regularize
+			obs.forEach( x => S[i][j] += (x[i] - mu0[i]) * (x[j] - mu0[j]) / M );
+		}),
+		sorted = obs.slice().sort( (a,b) => a[0] - b[0] );
+	
+	return {
+		A: $( [K,K], (fr,to,A) => A[fr][to] = (fr == to) ? 0.5 + 0.5/K : 0.5/K ),
+		pi: $(K, (k,pi) => pi[k] = 1/K ),
+		mu: $(K, (k,mu) => mu[k] = sorted[ min( M-1, floor( (k + 0.5 + 0.1*(rng()-0.5)) * M / K ) ) ].slice() ),
+		sigma: $(K, (k,sigma) => sigma[k] = $( [D,D], (i,j,S) => S[i][j] = sigma0[i][j] ) )
+	};
+}
+
+function hmmStats(seqs, starts, hmm) {  //< expected counts (e-step) of observation sequences given the hmm = {A, pi, mu, sigma}; starts flags the sequences starting a member's observations
+	var 
+		K = hmm.pi.length,
+		D = hmm.mu[0].length,
+		Ls = hmm.sigma.map( gaussForm ),
+		stats = {
+			A: $( [K,K], $$zero ),	// expected from-to transitions
+			pi: $(K, $zero),	// expected initial states
+			starts: 0,			// number of starting sequences
+			w: $(K, $zero),		// expected state occupancy
+			mu: $( [K,D], $$zero ),	// occupancy-weighted observations
+			S: $(K, (k,S) => S[k] = $( [D,D], $$zero ) ),	// occupancy-weighted observation products
+			loglik: 0
+		};
+	
+	if ( Ls.some( L => !L ) ) return null;	// degenerate covar
+	
+	seqs.forEach( (seq,q) => {
+		var 
+			fb = forwardBackward( seq, hmm, Ls ),
+			start = starts[q];
+		
+		stats.loglik += fb.loglik;
+		if ( start ) stats.starts++;
+		stats.A.$$( (fr,to) => stats.A[fr][to] += fb.xi[fr][to] );
+		fb.gamma.forEach( (g,t) => {
+			var x = seq[t];
+			g.$( k => {
+				if ( !t && start ) stats.pi[k] += g[k];
+				stats.w[k] += g[k];
+				for (var i=0; i<D; i++) {
+					stats.mu[k][i] += g[k] * x[i];
+					for (var j=0; j<D; j++) stats.S[k][i][j] += g[k] * x[i] * x[j];
+				}
+			});
+		});
+	});
+	
+	return stats;
+}
+
+function hmmAdd(a, b) {  //< sum of the expected counts a and b
+	var 
+		add = (x,y) => Array.isArray(x) ? x.map( (x,i) => add( x, y[i] ) ) : x + y,
+		sum = {};
+	
+	for (var key in a) sum[key] = add( a[key], b[key] );
+	return sum;
+}
+
+function hmmUpdate(hmm, stats) {  //< m-step of the hmm = {A, pi, mu, sigma} from the expected counts
+	var 
+		K = hmm.pi.length,
+		D = hmm.mu[0].length;
+	
+	if ( stats.starts ) 
+		hmm.pi.$( k => hmm.pi[k] = stats.pi[k] / stats.starts );
+	
+	stats.A.forEach( (row,fr) => {
+		var sum = row.reduce( (sum,n) => sum + n, 0 );
+		if ( sum ) row.forEach( (n,to) => hmm.A[fr][to] = n / sum );
+	});
+	
+	stats.w.forEach( (w,k) => {
+		if ( w > 1e-10 ) {
+			var mu = hmm.mu[k] = $(D, (i,mu) => mu[i] = stats.mu[k][i] / w );
+			hmm.sigma[k] = $( [D,D], (i,j,S) => S[i][j] = stats.S[k][i][j] / w - mu[i] * mu[j] + ( (i == j) ? 1e-6 : 0 ) );
+		}
+	});
+}
+
+function baumWelch(seqs, starts, hmm, iters, tol, prior) {  //< update hmm = {A, pi, mu, sigma} in place from observation sequences and the prior expected counts; returns per-iteration log-likelihoods and the last expected counts
+	var 
+		logs = [],
+		stats = null;
+	
+	for (var iter=0; iter<iters; iter++) {
+		var next = hmmStats( seqs, starts, hmm );
+		
+		if ( !next ) break;	// degenerate covar
+		
+		stats = next;
+		logs.push( stats.loglik );
+		hmmUpdate( hmm, prior ? hmmAdd( stats, prior ) : stats );
+		
+		if ( iter && abs( stats.loglik - logs[iter-1] ) <= tol * abs( stats.loglik ) ) break;
+	}
+	
+	return { logs: logs, stats: stats };
+}
+
+function avgRate(A) {  // computes average jump rate in A not necessarily balanced
+
+	for (var fr=0,lambda=0,K=A.length; fr<K; fr++)
+		for (var to=0,Afr=A[fr]; to<K; to++)
+			if ( fr != to ) lambda += Afr[to];
+
+	return lambda / (K*K-K); 	
+}
+
+function $$zero(i,j,A) {
+	A[i][j] = 0;
+}
+
+function $zero(i,A) {
+	A[i] = 0;
+}
+
+function counts(F) {
+	var Nevs = 0;
+	F.$( k => Nevs += k * F[k] );
+	return Nevs;	
+}
+
+function mass(F, N, interpolate) {
+	return $( F.length, (k, f) => {    // count probabilities
+		if (interpolate)  {  // usually pointless
+			if ( F[k] ) 
+				f[k] = F[k] / N;
+
+			else
+			if ( k ) {
+				N += F[k-1];
+				f[k] = F[k-1] / N;
+			}
+
+			else
+				f[k] = 0;
+		}
+		
+		else
+			f[k] = F[k] / N;
+	});
+}
+
+function cumulative( P ) {  // replace P with its cumulative
+	switch (0) {
+		case 0:
+			P.$( (k) => {
+				if (k) P[k] += P[k-1];
+			});
+			break;
+			
+		case 1:
+			var cum = 0;
+			P.$( (k) => {
+				var hold = P[k];
+				P[k] = cum;
+				cum += hold;
+			});
+			break;
+	}
+}
+
+function range (min,max) { // unused - generate a range
+	var rtn = new Array(max-min+1);
+	for (var n=min,m=0,M=rtn.length; m<=M; m++) rtn[m] = n += 1;
+	return rtn;
+}	
+
+function balanceRates(A) {   // enforce global balance on jump rates
+	A.$( (k) => {
+		A[k][k] = 0;
+		A[k][k] = - A[k].sum();
+	});
+	return A;
+}
+
+function balanceProbs(P) {  // enforce global balance on probs
+	P.$( (k) => {
+		P[k][k] = 1 - P[k].sum() 
+	});
+	return P;
+}			
+
+function Trace(msg) {	// traces go to stderr to keep stdout for the json events
+	process.stderr.write( `rand> ${msg}\n` );
+}
+
+function symEigen(A) {  //< eigen values (descending) and vectors of a symmetric matrix by man
+	var 
+		eig = $.eigs( A ),
+		values = $.list( eig.values ),
+		D = values.length,
+		vectors = eig.eigenvectors		// mathjs 12+ pairs [{value, vector}, ...] else eigen vectors in the columns
+			? eig.eigenvectors.map( pair => $.list( pair.vector ) )
+			: ( cols => $(D, (i,V) => V[i] = $(D, (k,v) => v[k] = cols[k][i] ) ) )( $.list( eig.vectors ) ),
+		order = $(D, (i,O) => O[i] = i ).sort( (a,b) => values[b] - values[a] );
+	
+	return {
+		values: order.map( i => values[i] ),
+		vectors: order.map( i => vectors[i] )
+	};
+}
+
+function klExpand(gauss, dt) {  //< pc values, vectors, ref, dim and grid of the KL expansion of a covariance kernel over observation interval T
+/*
+The kernel is sampled at the dim = T/dt process steps (or, when that exceeds the points cap, at dim = points 
+samples a grid = T/dim apart), and its eigen vectors v scaled by 1/sqrt(grid) to approximate the unit-energy 
+eigen functions [sqrt Hz] of the integral operator whose eigen values are the matrix eigen values scaled by 
+grid / Tc [unitless].  The ref eigenvalue is the sum of the retained values so that the mean count over T is 
+the specified mean.
+*/
+	var 
+		Tc = gauss.Tc,
+		kernels = {
+			exp: tau => exp( -abs(tau) / Tc ),
+			gauss: tau => exp( - ((tau / Tc)**2) ),
+			sinc: tau => tau ? sin( PI * tau / Tc ) / ( PI * tau / Tc ) : 1
+		},
+		kernel = (typeof gauss.kernel == "function") 
+			? tau => gauss.kernel( tau, Tc ) 
+			: kernels[ gauss.kernel == "rect" ? "sinc" : gauss.kernel ] || kernels.exp,
+		dim = max( 1, min( round( gauss.T / dt ), gauss.points ) ),
+		grid = gauss.T / dim,	// kernel sample spacing
+		C = $( [dim,dim], (i,j,C) => C[i][j] = kernel( (i - j) * grid ) ),
+		eig = symEigen( C ),
+		total = eig.values.reduce( (sum,val) => sum + max(val,0), 0 ),
+		modes = gauss.modes || (function () {	// modes holding the energy fraction
+			for (var n=0, cum=0; n<dim && cum < gauss.energy * total; n++) cum += max( eig.values[n], 0 );
+			return max(n,1);
+		})(),
+		values = eig.values.slice(0, modes).map( val => max(val,0) * grid / Tc );
+	
+	return {
+		values: values,
+		vectors: eig.vectors.slice(0, modes).map( v => v.map( x => x / sqrt(grid) ) ),
+		ref: values.reduce( (sum,val) => sum + val, 0 ),
+		dim: dim,
+		grid: grid
+	};
+}
+
+function welchPSD(series, L, overlap, window, dt) {  //< welch psd (averaged windowed periodograms of the mean-removed series) on freqs 0 ... 1/(2 dt)
+	var
+		L = max( 2, min( L, series[0].length ) ),
+		hop = max( 1, round( L * (1 - overlap) ) ),
+		w = $(L, (t,w) => w[t] = ( window == "rect" ) ? 1 : 0.5 - 0.5 * cos( 2*PI * t / (L - 1) ) ),
+		W = w.reduce( (sum,w) => sum + w*w, 0 ),	// window power L U
+		F = floor( L/2 ) + 1,
+		freqs = $(F, (k,f) => f[k] = k / L / dt ),
+		psd = $(F, $zero),
+		segments = 0;
+	
+	series.forEach( x => {
+		var mean = x.sum() / x.length;
+		
+		for (var t0=0; t0 + L <= x.length; t0 += hop, segments++) 
+			psd.$( k => {
+				var re = 0, im = 0, omega = 2*PI * k / L;
+				
+				for (var t=0; t<L; t++) {
+					var v = w[t] * ( x[t0+t] - mean );
+					re += v * cos( omega * t );
+					im -= v * sin( omega * t );
+				}
+				
+				psd[k] += dt * ( re*re + im*im ) / W;
+			});
+	});
+	
+	return { freqs: freqs, psd: psd.map( p => segments ? p / segments : 0 ), segments: segments };
+}
+
+function markovPSD(P, f, freqs, dt) {  //< analytic psd of the stationary values f[state] of a markov process with trans probs P
+/*
+The autocovariance is C(tau) = f' D B^|tau| f where D = diag(w) for equlib probs w and B = P - 1 w'.  When
+the process is reversible, S = D^1/2 P D^-1/2 is symmetric with eigen values mu and vectors u, so that 
+
+		psd(nu) = dt sum_{|mu| < 1} (u' D^1/2 f)^2 (1 - mu^2) / (1 - 2 mu cos(omega) + mu^2),	omega = 2 pi nu dt
+		
+(modes with mu = -1 give a line at the nyquist that is omitted), and otherwise 
+psd(nu) = dt [ C(0) + 2 Re f' D ( (I - z B)^-1 - I ) f ] with z = exp(-i omega) from the resolvent of B.
+*/
+	var
+		K = P.length,
+		w = ctmcEqProbs( P.map( (row,fr) => row.map( (p,to) => p - ( (fr == to) ? 1 : 0 ) ) ) ),
+		reversible = P.every( (row,i) => row.every( (p,j) => abs( w[i] * p - w[j] * P[j][i] ) < 1e-12 ) );
+	
+	if ( reversible ) {
+		var
+			r = w.map( w => sqrt(w) ),
+			eig = symEigen( $( [K,K], (i,j,S) => S[i][j] = ( r[i] && r[j] ) ? r[i] * P[i][j] / r[j] : 0 ) ),
+			g = $(K, (i,g) => g[i] = r[i] * f[i] ),
+			modes = eig.values.map( (mu,k) => ({ 
+				mu: mu, 
+				c: eig.vectors[k].reduce( (sum,u,i) => sum + u * g[i], 0 )**2 
+			}) ).filter( mode => abs( mode.mu ) < 1 - 1e-9 );
+		
+		return freqs.map( nu => {
+			var omega = 2*PI * nu * dt;
+			return dt * modes.reduce( (sum,mode) => 
+				sum + mode.c * (1 - mode.mu**2) / ( 1 - 2 * mode.mu * cos(omega) + mode.mu**2 ), 0 );
+		});
+	}
+	
+	else {
+		var
+			B = $( [K,K], (i,j,B) => B[i][j] = P[i][j] - w[j] ),
+			C0 = $(K, (i,C) => C[i] = w[i] * f[i] * f[i] ).sum() - w.reduce( (sum,w,i) => sum + w * f[i], 0 )**2;
+		
+		return freqs.map( nu => {
+			var 
+				omega = 2*PI * nu * dt,
+				c = cos(omega), 
+				s = sin(omega),
+				x = linsolve( 	// (I - z B) x = f in real form
+					$( [2*K, 2*K], (i,j,A) => {
+						var 
+							ii = i % K, jj = j % K,
+							Ar = ( (ii == jj) ? 1 : 0 ) - c * B[ii][jj],
+							Ai = s * B[ii][jj];
+						
+						A[i][j] = ( (i < K) == (j < K) ) ? Ar : (i < K) ? -Ai : Ai;
+					}),
+					$(2*K, (i,b) => b[i] = [ (i < K) ? f[i] : 0 ] ) );
+			
+			return x ? dt * ( C0 + 2 * w.reduce( (sum,w,i) => sum + w * f[i] * ( x[i][0] - f[i] ), 0 ) ) : null;
+		});
+	}
+}
+
+function matmul(A, B) {  //< matrix product A B
+	return $( [A.length, B[0].length], (i,j,C) => {
+		C[i][j] = 0;
+		for (var k=0, K=B.length; k<K; k++) C[i][j] += A[i][k] * B[k][j];
+	});
+}
+
+function expm(A) {  //< matrix exponential by scaling and squaring a taylor series
+	var 
+		D = A.length,
+		norm = A.map( Ai => Ai.reduce( (sum,a) => sum + abs(a), 0 ) ).max(),
+		s = max( 0, Math.ceil( Math.log2( norm || 1 ) ) + 1 ),
+		As = $( [D,D], (i,j,As) => As[i][j] = A[i][j] / 2**s ),
+		term = $( [D,D], (i,j,I) => I[i][j] = (i == j) ? 1 : 0 ),
+		E = $( [D,D], (i,j,E) => E[i][j] = term[i][j] );
+	
+	for (var k=1; k<=16; k++) {
+		term = matmul( term, As );
+		term.$$( (i,j) => term[i][j] /= k );
+		E.$$( (i,j) => E[i][j] += term[i][j] );
+	}
+	
+	for (var k=0; k<s; k++) E = matmul( E, E );
+	
+	return E;
+}
+
+function ouDiscretize(B, SS, dt) {  //< exact transition matrix Phi = exp(-B dt) and transition covar Q of dX = -B (X - mu) dt + sigma dW
+/*
+Van Loan's method exponentiates the block matrix C = [ [B, SS] ; [0, -B'] ] dt = [ [ . , G ] ; [ 0, F ] ] for 
+covar rate SS = sigma sigma', then Phi = F' and the transition covar Q = Phi G.
+*/
+	var
+		D = B.length,
+		C = $( [2*D, 2*D], (i,j,C) => C[i][j] = dt * ( 
+			(i < D) 
+				? ( (j < D) ? B[i][j] : SS[i][j-D] )
+				: ( (j < D) ? 0 : -B[j-D][i-D] ) ) ),
+		E = expm( C ),
+		Phi = $( [D,D], (i,j,Phi) => Phi[i][j] = E[D+j][D+i] ),
+		G = $( [D,D], (i,j,G) => G[i][j] = E[i][D+j] ),
+		Q = matmul( Phi, G );
+	
+	return {
+		Phi: Phi,
+		Q: $( [D,D], (i,j,S) => S[i][j] = ( Q[i][j] + Q[j][i] ) / 2 + ( (i == j) ? 1e-12 : 0 ) )
+	};
+}
+
+function ouLogLik(pairs, theta, mu, sig2) {  //< log-likelihood of {x, y, dt} transitions of a 1-dim ornstein process
+	var loglik = 0;
+	
+	pairs.forEach( p => {
+		var 
+			b = exp( -theta * p.dt ),
+			v = sig2 * ( 1 - b*b ) / ( 2 * theta ),
+			r = p.y - mu - b * ( p.x - mu );
+		
+		loglik -= ( log( 2 * PI * v ) + r * r / v ) / 2;
+	});
+	
+	return loglik;
+}
+
+function ouProfile(pairs, theta) {  //< closed-form mu, sig2 mles and profile log-likelihood given theta
+	var sw = 0, swy = 0;
+	
+	pairs.forEach( p => {
+		var b = exp( -theta * p.dt ), v = ( 1 - b*b ) / ( 2 * theta ), c = 1 - b;
+		sw += c * c / v;
+		swy += ( p.y - b * p.x ) * c / v;
+	});
+	
+	var mu = swy / sw, rss = 0;
+	
+	pairs.forEach( p => {
+		var b = exp( -theta * p.dt ), v = ( 1 - b*b ) / ( 2 * theta ), r = p.y - b * p.x - mu * ( 1 - b );
+		rss += r * r / v;
+	});
+	
+	var sig2 = rss / pairs.length;
+	
+	return { theta: theta, mu: mu, sig2: sig2, loglik: ouLogLik( pairs, theta, mu, sig2 ) };
+}
+
+function ouMLE(pairs) {  //< theta, mu, sigma mles of a 1-dim ornstein process and their standard errors from the observed information
+	var 
+		dtbar = pairs.reduce( (sum,p) => sum + p.dt, 0 ) / pairs.length,
+		lo = log( 1e-4 / dtbar ), 
+		hi = log( 1e2 / dtbar ),
+		grid = $(41, (k,G) => G[k] = ouProfile( pairs, exp( lo + (hi - lo) * k / 40 ) ) ),
+		best = grid.reduce( (best,fit,k) => ( fit.loglik > grid[best].loglik ) ? k : best, 0 ),
+		a = lo + (hi - lo) * max( best-1, 0 ) / 40,
+		b = lo + (hi - lo) * min( best+1, 40 ) / 40,
+		gr = ( sqrt(5) - 1 ) / 2;
+	
+	for (var iter=0; iter<60; iter++) {	// golden-section refinement of log theta
+		var 
+			c = b - gr * (b - a), 
+			d = a + gr * (b - a);
+		
+		if ( ouProfile( pairs, exp(c) ).loglik > ouProfile( pairs, exp(d) ).loglik ) b = d; else a = c;
+	}
+	
+	var 
+		fit = ouProfile( pairs, exp( (a + b) / 2 ) ),
+		p = [ fit.theta, fit.mu, sqrt( fit.sig2 ) ],
+		f = p => ouLogLik( pairs, p[0], p[1], p[2]**2 ),
+		h = p.map( x => 1e-4 * max( abs(x), 1e-3 ) ),
+		H = $( [3,3], (i,j,H) => {	// observed information = -hessian of the log-likelihood
+			var shift = (di, dj) => f( p.map( (x,k) => x + ( (k == i) ? di : 0 ) + ( (k == j) ? dj : 0 ) ) );
+			H[i][j] = -( shift(h[i],h[j]) - shift(h[i],-h[j]) - shift(-h[i],h[j]) + shift(-h[i],-h[j]) ) / ( 4 * h[i] * h[j] );
+		}),
+		C = linsolve( H, $( [3,3], (i,j,I) => I[i][j] = (i == j) ? 1 : 0 ) );
+	
+	return {
+		theta: p[0],
+		mu: p[1],
+		sigma: p[2],
+		theta_stderr: C ? sqrt( abs( C[0][0] ) ) : null,
+		mu_stderr: C ? sqrt( abs( C[1][1] ) ) : null,
+		sigma_stderr: C ? sqrt( abs( C[2][2] ) ) : null,
+		loglik: fit.loglik
+	};
+}
+
+function linsolve(A, B) {  //< solve A X = B by gauss-jordan elimination with partial pivoting; null if A singular
+	var 
+		K = A.length,
+		M = B[0].length,
+		W = $(K, (i,W) => W[i] = A[i].slice(0,K).concat( B[i] ) );
+	
+	for (var c=0; c<K; c++) {
+		for (var p=c, r=c+1; r<K; r++) if ( abs(W[r][c]) > abs(W[p][c]) ) p = r;
+		
+		if ( abs(W[p][c]) < 1e-12 ) return null;
+		
+		var Wp = W[p]; W[p] = W[c]; W[c] = Wp;
+		for (var piv = Wp[c], j=c; j<K+M; j++) Wp[j] /= piv;
+		
+		for (var r=0; r<K; r++) 
+			if ( r != c && W[r][c] ) 
+				for (var f = W[r][c], j=c; j<K+M; j++) W[r][j] -= f * Wp[j];
+	}
+	
+	return $(K, (i,X) => X[i] = W[i].slice(K) );
+}
+
+function ctmcEqProbs(Q) {  //< equlib probs w of a continuous-time process with generator Q (w Q = 0, sum w = 1); zeros if not unique
+	var
+		K = Q.length,
+		At = $( [K,K], (i,j,At) => At[i][j] = (i == K-1) ? 1 : Q[j][i] ),
+		w = linsolve( At, $(K, (i,b) => b[i] = [ (i == K-1) ? 1 : 0 ] ) );
+	
+	return $(K, (k,eqP) => eqP[k] = w ? w[k][0] : 0 );
+}
+
+function ctmcRecurTimes(Q) {  //< mean first passage (fr != to) and recurrence (fr == to) times of a continuous-time process with generator Q
+/*
+For each to-state j, the mean first passage times m[i] = H[i][j] from the other states i satisfy
+
+		- sum_{k != j} Q[i][k] m[k] = 1
+		
+whereas the mean recurrence time H[j][j] = 1 / ( w[j] q[j] ) for equlib prob w[j] and exit rate q[j] = -Q[j][j].
+*/
+	var
+		K = Q.length,
+		w = ctmcEqProbs(Q),
+		H = $( [K,K], $$zero );
+	
+	if ( K > 1 )
+		H.$( j => {
+			var 
+				others = $(K-1, (i,S) => S[i] = (i < j) ? i : i+1 ),
+				m = linsolve( 
+					$( [K-1,K-1], (a,b,A) => A[a][b] = -Q[ others[a] ][ others[b] ] ), 
+					$( K-1, (a,B) => B[a] = [1] ) );
+			
+			others.$( a => H[ others[a] ][ j ] = m ? m[a][0] : 0 );
+			H[j][j] = ( w[j] && Q[j][j] ) ? -1 / ( w[j] * Q[j][j] ) : 0;
+		});
+	
+	else
+		H[0][0] = 1;
+	
+	return H;
+}
+
+function ctmcAbsorb(Q) {  //< first absorption times, probs and states of a continuous-time process with generator Q
+	var 
+		K = Q.length,
+		kAb = [],
+		kTr = [],
+		x = Q.$( k => {
+			if ( Q[k][k] == 0 ) 
+				kAb.push(k);
+			else
+				kTr.push(k);
+		}),
+		nAb = kAb.length,
+		nTr = kTr.length,
+		R = ( nAb && nTr ) 		// -Q[kTr,kTr] R = [ 1, Q[kTr,kAb] ]
+			? linsolve( 
+				$( [nTr,nTr], (a,b,A) => A[a][b] = -Q[ kTr[a] ][ kTr[b] ] ), 
+				$( nTr, (a,B) => B[a] = [1].concat( kAb.map( k => Q[ kTr[a] ][ k ] ) ) ) )
+			: null;
+	
+	return {
+		times: R ? R.map( Ra => [ Ra[0] ] ) : [],
+		probs: R ? R.map( Ra => Ra.slice(1) ) : [],
+		states: kAb.map( k => k+1 )
+	};
+}
+
+function firstAbsorb(P) {  //< compute first absorption times (means, variances and distributions), probs and states
+	var 
+		K = P.length,
+		kAb = [],
+		x = P.$( (k) => {
+			if ( P[k][k] == 1 ) kAb.push(k);
+		}),
+		hit = ( kAb.length && kAb.length < K ) ? hitTimes( P, kAb, 100, [0.5, 0.9, 0.99] ) : null;
+	
+	return {
+		times: hit ? hit.starts.map( start => [ start.mean ] ) : [],
+		probs: hit ? hit.starts.map( start => start.hit_probs ) : [],
+		variances: hit ? hit.starts.map( start => start.variance ) : [],
+		quantiles: hit ? hit.starts.map( start => start.quantiles ) : [],
+		dists: hit ? hit.starts.map( start => start.pmf ) : [],
+		states: kAb.map( k => k+1 )
+	};
+}
+
+function hitTimes(P, targets, steps, levels) {  //< first hitting time distributions of the target states from each other start state
+/*
+With Q = P restricted to the start (non-target) states and R = P[starts][targets], the survival probs of 
+the hitting time T are Pr(T > n) = Q^n 1 so that Pr(T = n) = Q^(n-1) R 1 (computed up to the specified 
+steps).  The fundamental matrix N = inv( I - Q ) then gives the mean times m = N 1, their variances 
+(2N - I) m - m^2, and the hit probs N R of each target (null means when some start cannot hit the targets).
+*/
+	var
+		K = P.length,
+		isTarget = $(K, (k,T) => T[k] = targets.indexOf(k) >= 0 ),
+		B = $(K, (k,B) => B[k] = k ).filter( k => !isTarget[k] ),
+		nB = B.length,
+		Q = B.map( i => B.map( j => P[i][j] ) ),
+		R = B.map( i => targets.map( j => P[i][j] ) ),
+		I = $( [nB,nB], (i,j,I) => I[i][j] = (i == j) ? 1 : 0 ),
+		N = nB ? linsolve( $( [nB,nB], (i,j,A) => A[i][j] = I[i][j] - Q[i][j] ), I ) : null,
+		m = N ? N.map( row => row.sum() ) : null,
+		pmf = $(nB, (i,F) => F[i] = [0] ),
+		S = $(nB, (i,S) => S[i] = 1 );	// survival probs Q^n 1
+	
+	for (var n=1; n<=steps; n++) {
+		var Sn = Q.map( row => row.reduce( (sum,q,j) => sum + q * S[j], 0 ) );
+		
+		pmf.$( i => pmf[i].push( S[i] - Sn[i] ) );
+		S = Sn;
+	}
+	
+	return {
+		targets: targets,
+		starts: B.map( (k,i) => {
+			var cdf = 0, F = pmf[i].map( f => cdf += f );
+			
+			return {
+				start: k,
+				mean: m ? m[i] : null,
+				variance: m ? 2 * N[i].reduce( (sum,n,j) => sum + n * m[j], 0 ) - m[i] - m[i]**2 : null,
+				quantiles: levels.map( q => {
+					var n = F.findIndex( F => F >= q - 1e-12 );
+					return ( n < 0 ) ? null : n;
+				}),
+				hit_probs: N ? targets.map( (t,a) => N[i].reduce( (sum,n,j) => sum + n * R[j][a], 0 ) ) : null,
+				pmf: pmf[i]
+			};
+		})
+	};
+}
+
+function eigenValues(M) {  //< eigen values {re, im} of a real square matrix by descending modulus (hessenberg reduction and shifted qr)
+	var 
+		n = M.length,
+		a = M.map( row => row.slice() ),
+		wr = $(n, $zero), 
+		wi = $(n, $zero),
+		sign = (a,b) => (b >= 0) ? abs(a) : -abs(a),
+		swap = (i,j,k,l) => { var tmp = a[i][j]; a[i][j] = a[k][l]; a[k][l] = tmp; };
+	
+	for (var m=1; m<n-1; m++) {	// reduce to hessenberg form by elimination with pivoting
+		var x = 0, i = m;
+		
+		for (var j=m; j<n; j++) 
+			if ( abs( a[j][m-1] ) > abs(x) ) { x = a[j][m-1]; i = j; }
+		
+		if ( i != m ) {
+			for (var j=m-1; j<n; j++) swap( i,j, m,j );
+			for (var j=0; j<n; j++) swap( j,i, j,m );
+		}
+		
+		if ( x ) 
+			for (var i=m+1; i<n; i++) {
+				var y = a[i][m-1];
+				
+				if ( y ) {
+					y /= x;
+					a[i][m-1] = 0;
+					for (var j=m; j<n; j++) a[i][j] -= y * a[m][j];
+					for (var j=0; j<n; j++) a[j][m] += y * a[j][i];
+				}
+			}
+	}
+	
+	var anorm = 0, t = 0, nn = n-1;
+	
+	for (var i=0; i<n; i++) 
+		for (var j=max(i-1,0); j<n; j++) anorm += abs( a[i][j] );
+	
+	while ( nn >= 0 ) {	// shifted qr deflating 1x1 and 2x2 blocks
+		var its = 0, l;
+		
+		do {
+			for (l=nn; l>=1; l--) {
+				var s = abs( a[l-1][l-1] ) + abs( a[l][l] ) || anorm;
+				if ( abs( a[l][l-1] ) + s == s ) { a[l][l-1] = 0; break; }
+			}
+			
+			var x = a[nn][nn];
+			
+			if ( l == nn ) {	// single root
+				wr[nn] = x + t;
+				wi[nn--] = 0;
+			}
+			
+			else {
+				var y = a[nn-1][nn-1], w = a[nn][nn-1] * a[nn-1][nn];
+				
+				if ( l == nn-1 ) {	// pair of roots
+					var p = 0.5 * (y - x), q = p*p + w, z = sqrt( abs(q) );
+					
+					x += t;
+					if ( q >= 0 ) {
+						z = p + sign(z, p);
+						wr[nn-1] = wr[nn] = x + z;
+						if ( z ) wr[nn] = x - w/z;
+						wi[nn-1] = wi[nn] = 0;
+					}
+					
+					else {
+						wr[nn-1] = wr[nn] = x + p;
+						wi[nn-1] = -( wi[nn] = z );
+					}
+					
+					nn -= 2;
+				}
+				
+				else {
+					if ( its == 60 ) { Trace("eigen values failed to converge"); return []; }
+					
+					if ( its == 10 || its == 20 ) {	// exceptional shift
+						t += x;
+						for (var i=0; i<=nn; i++) a[i][i] -= x;
+						var s = abs( a[nn][nn-1] ) + abs( a[nn-1][nn-2] );
+						y = x = 0.75 * s;
+						w = -0.4375 * s * s;
+					}
+					
+					its++;
+					
+					for (var m=nn-2; m>=l; m--) {
+						var z = a[m][m], r = x - z, s = y - z;
+						
+						p = (r*s - w) / a[m+1][m] + a[m][m+1];
+						q = a[m+1][m+1] - z - r - s;
+						r = a[m+2][m+1];
+						s = abs(p) + abs(q) + abs(r);
+						p /= s; q /= s; r /= s;
+						
+						if ( m == l ) break;
+						
+						var 
+							u = abs( a[m][m-1] ) * ( abs(q) + abs(r) ),
+							v = abs(p) * ( abs( a[m-1][m-1] ) + abs(z) + abs( a[m+1][m+1] ) );
+						
+						if ( u + v == v ) break;
+					}
+					
+					for (var i=m+2; i<=nn; i++) {
+						a[i][i-2] = 0;
+						if ( i != m+2 ) a[i][i-3] = 0;
+					}
+					
+					for (var k=m; k<=nn-1; k++) {	// double qr step
+						if ( k != m ) {
+							p = a[k][k-1];
+							q = a[k+1][k-1];
+							r = ( k != nn-1 ) ? a[k+2][k-1] : 0;
+							if ( (x = abs(p) + abs(q) + abs(r)) ) { p /= x; q /= x; r /= x; }
+						}
+						
+						if ( (s = sign( sqrt( p*p + q*q + r*r ), p )) ) {
+							if ( k == m ) { if ( l != m ) a[k][k-1] = -a[k][k-1]; }
+							else a[k][k-1] = -s * x;
+							
+							p += s; x = p/s; y = q/s; z = r/s; q /= p; r /= p;
+							
+							for (var j=k; j<=nn; j++) {
+								p = a[k][j] + q * a[k+1][j];
+								if ( k != nn-1 ) { p += r * a[k+2][j]; a[k+2][j] -= p * z; }
+								a[k+1][j] -= p * y;
+								a[k][j] -= p * x;
+							}
+							
+							for (var i=l, imax=min(nn, k+3); i<=imax; i++) {
+								p = x * a[i][k] + y * a[i][k+1];
+								if ( k != nn-1 ) { p += z * a[i][k+2]; a[i][k+2] -= p * r; }
+								a[i][k+1] -= p * q;
+								a[i][k] -= p;
+							}
+						}
+					}
+				}
+			}
+		} while ( l < nn-1 );
+	}
+	
+	return wr.map( (re,k) => ({ re: re, im: wi[k] }) ).sort( (a,b) => (b.re**2 + b.im**2) - (a.re**2 + a.im**2) );
+}
+
+function markovMixing(P, eps, cap) {  //< eigen values, spectral gap, relaxation time and TV mixing time (and its reversible bounds) of trans probs P
+/*
+For the equlib probs w of the chain's unique closed class and the absolute spectral gap g = 1 - max |lambda| over 
+the eigen values lambda != 1, the relaxation time is t_rel = 1/g, and a reversible chain mixes within
+
+		(t_rel - 1) log( 1/(2 eps) ) <= t_mix(eps) <= t_rel log( 1/(eps min w) )
+		
+where t_mix(eps) is the first n with max_fr TV( P^n[fr], w ) <= eps (searched up to cap steps).
+*/
+	var
+		K = P.length,
+		lambda = eigenValues( P ),
+		mods = lambda.map( lambda => sqrt( lambda.re**2 + lambda.im**2 ) ),
+		closed = chainClasses( P ).classes.filter( C => C.closed ),
+		w = ( closed.length == 1 ) ? closed[0].eq_probs : null,
+		gap = ( K > 1 && mods.length ) ? 1 - mods[1] : 1,
+		trel = ( gap > 1e-12 ) ? 1 / gap : Infinity,
+		reversible = w && P.every( (row,i) => row.every( (p,j) => abs( w[i] * p - w[j] * P[j][i] ) < 1e-12 ) ),
+		wmin = w ? min( ...w.filter( w => w > 0 ) ) : 0,
+		tmix = null;
+	
+	if ( w )
+		for (var n=1, Pn = P; n <= cap; n++, Pn = matmul( Pn, P ) ) 
+			if ( Pn.every( row => 0.5 * row.reduce( (sum,p,to) => sum + abs( p - w[to] ), 0 ) <= eps ) ) {
+				tmix = n;
+				break;
+			}
+	
+	return {
+		eq_probs: w,
+		eigen_values: lambda,
+		spectral_gap: gap,
+		relaxation_time: trel,
+		mix_eps: eps,
+		mix_time: tmix,
+		mix_bounds: ( reversible && trel < Infinity && wmin ) 
+			? [ max( 0, (trel - 1) * log( 1/(2*eps) ) ), trel * log( 1/(eps * wmin) ) ] 
+			: null,
+		reversible: !!reversible
+	};
+}
+
+function chainClasses(P) {  //< communicating classes (closed or transient) of trans probs P with their periods and closed-class equlib probs and recurrence times
+/*
+States communicate when each reaches the other through P > 0.  A class is closed when no prob leaves it, and 
+its period is the gcd of (level[fr] + 1 - level[to]) over its from-to edges for breadth-first levels from 
+any of its states (null when it has no edges, i.e. a transient state that is never revisited).  The chain is
+irreducible with one class, aperiodic when its periods are 1, and regular (some P^n > 0) when both.
+*/
+	var
+		K = P.length,
+		R = $( [K,K], (i,j,R) => R[i][j] = (i == j) || (P[i][j] > 0) ),	// reachability
+		label = $(K, (k,L) => L[k] = -1 ),
+		classes = [],
+		gcd = (a,b) => b ? gcd( b, a % b ) : a;
+	
+	for (var k=0; k<K; k++) 	// transitive closure
+		for (var i=0; i<K; i++) 
+			if ( R[i][k] ) 
+				for (var j=0; j<K; j++) 
+					if ( R[k][j] ) R[i][j] = true;
+	
+	label.$( i => {
+		if ( label[i] < 0 ) {
+			var states = [];
+			
+			label.$( j => { 
+				if ( R[i][j] && R[j][i] ) {
+					label[j] = classes.length;
+					states.push(j);
+				}
+			});
+			
+			classes.push({ states: states });
+		}
+	});
+	
+	classes.forEach( (C,c) => {
+		var 
+			states = C.states,
+			level = {},
+			queue = [ states[0] ],
+			period = 0;
+		
+		C.closed = states.every( i => P[i].every( (p,j) => !p || label[j] == c ) );
+		
+		for (level[ states[0] ] = 0; queue.length; ) {	// breadth-first levels within the class
+			var i = queue.shift();
+			
+			states.forEach( j => {
+				if ( P[i][j] > 0 ) 
+					if ( level[j] == undefined ) {
+						level[j] = level[i] + 1;
+						queue.push(j);
+					}
+					
+					else
+						period = gcd( period, abs( level[i] + 1 - level[j] ) );
+			});
+		}
+		
+		C.period = period || null;
+		
+		if ( C.closed ) {	// equlib probs and mean recurrence times of the class embedded in the K states
+			var w = ctmcEqProbs( states.map( i => states.map( j => P[i][j] - ( (i == j) ? 1 : 0 ) ) ) );
+			C.eq_probs = $(K, (k,W) => W[k] = 0 );
+			C.recur_times = $(K, (k,R) => R[k] = null );
+			states.forEach( (i,n) => {
+				C.eq_probs[i] = w[n];
+				C.recur_times[i] = w[n] ? 1 / w[n] : null;
+			});
+		}
+	});
+	
+	var 
+		irreducible = classes.length == 1,
+		aperiodic = classes.every( C => !C.period || C.period == 1 );
+	
+	return {
+		classes: classes,
+		transient_states: classes.filter( C => !C.closed ).reduce( (states,C) => states.concat( C.states ), [] ),
+		irreducible: irreducible,
+		aperiodic: aperiodic,
+		regular: irreducible && aperiodic
+	};
+}
+
+function meanRecurTimes(P) {  //< compute mean recurrence times
+/*
+If the process is/were Regular, we could itterate the process (e.g. compute some power of the from-to 1-step transition $$ P) to determine 
+the equlibrium 
+prob vector w, and therefore its associated eq prob $$ W = [w ; w; ... ].  However, in general, P is not Regular.  We require, however, 
+that the process P be at 
+least Ergodic (w or w/o absorbing states) and, thus, it must possess mean recurrence times H.  So while the computed H must have nontrivial
+values for an absorbing P, there is (of course, and by definition) no guarantee that all states will be hit, and thus there	is no guarantee that 
+the MLE H will match the computed H at transitions that are never hit.  So, in the general ergodic case, the equib probs w must be determined
+by examining the left-nullspace for ( I - P ) whose inverse does not exists.  So the states are first classified
+(see chainClasses) into communicating classes: when P has a single closed class, its w (zero on the transient 
+states) is unique, and the fundamental matrix
+
+		Z = inv( I - P + W )
+		
+gives the mean first passage times H[fr][to] = ( Z[to][to] - Z[fr][to] ) / w[to] and the mean recurrence 
+times H[to][to] = 1 / w[to].  When P has several closed classes, w is not unique (the config reports the w 
+of each closed class), so the times are those of each closed class with its own w and Z.  Times that do not 
+exist (to a transient state, or between classes when there are several) are null.
+*/	
+
+	var 
+		K = P.length,
+		closed = chainClasses(P).classes.filter( C => C.closed ),
+		H = $( [K,K], (fr,to,H) => H[fr][to] = null ),
+		groups = ( closed.length == 1 ) 	// all states with the unique w, else each closed class with its own w
+			? [ { states: $(K, (k,S) => S[k] = k ), eq_probs: closed[0].eq_probs } ] 
+			: closed;
+
+	if ( K == 1 ) return [[1]];
+	
+	groups.forEach( C => {
+		var
+			S = C.states,
+			M = S.length,
+			w = S.map( k => C.eq_probs[k] ),
+			Z = linsolve( 
+				$( [M,M], (a,b,A) => A[a][b] = ( (a == b) ? 1 : 0 ) - P[ S[a] ][ S[b] ] + w[b] ), 
+				$( [M,M], (a,b,I) => I[a][b] = (a == b) ? 1 : 0 ) );
+		
+		S.forEach( (fr,a) => S.forEach( (to,b) => {
+			if ( w[b] ) H[fr][to] = ( fr == to ) ? 1 / w[b] : ( Z[b][b] - Z[a][b] ) / w[b];
+		}) );
+	});
+	
+	return H;
+}
+
+function lgamma(x) {  //< log gamma function (lanczos)
+	var c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+	
+	for (var y = x, tmp = x + 5.5, ser = 1.000000000190015, n=0; n<6; n++) ser += c[n] / ++y;
+	return (x + 0.5) * log(tmp) - tmp + log( 2.5066282746310005 * ser / x );
+}
+
+function digamma(x) {  //< digamma function by recurrence and asymptotic series
+	for (var psi = 0; x < 6; x++) psi -= 1/x;
+	
+	var x2 = 1 / (x*x);
+	return psi + log(x) - 0.5/x - x2 * ( 1/12 - x2 * ( 1/120 - x2 / 252 ) );
+}
+
+function trigamma(x) {  //< trigamma function by recurrence and asymptotic series
+	for (var psi1 = 0; x < 6; x++) psi1 += 1/(x*x);
+	
+	var x2 = 1 / (x*x);
+	return psi1 + 1/x + x2/2 + x2/x * ( 1/6 - x2 * ( 1/30 - x2 / 42 ) );
+}
+
+function holdDev(dist, rng) {  //< holding time drawn from an exp, gamma, weibull or lognormal distribution
+	switch ( dist.type ) {
+		case "gamma":
+			return dist.scale * gammadev( dist.shape, rng );
+			
+		case "weibull":
+			return dist.scale * ( -log( 1 - rng() ) ) ** (1/dist.shape);
+			
+		case "lognormal":
+			return exp( dist.mu + dist.sigma * gaussdev(rng) );
+			
+		default:
+			return expdev( dist.mean, rng );
+	}
+}
+
+function holdFit(x) {  //< exp, gamma, weibull and lognormal mles (with log-likelihoods and aics) of the positive holds x
+	var 
+		x = x.filter( x => x > 0 ),
+		n = x.length;
+	
+	if ( n < 2 ) return { samples: n, best: null };
+	
+	var
+		lnx = x.map( x => log(x) ),
+		mean = x.sum() / n,
+		mlog = lnx.sum() / n,
+		vlog = lnx.reduce( (sum,l) => sum + (l - mlog)**2, 0 ) / n,
+		s = log(mean) - mlog,	// gamma shape statistic
+		k = s ? ( 3 - s + sqrt( (s-3)**2 + 24*s ) ) / ( 12*s ) : 1e3,
+		w = vlog ? 1.2825 / sqrt(vlog) : 1e3;	// weibull shape
+	
+	for (var iter=0; iter<50 && s; iter++) {	// newton on log k - digamma(k) = s
+		var dk = ( log(k) - digamma(k) - s ) / ( 1/k - trigamma(k) );
+		k = max( k - dk, k/10 );
+		if ( abs(dk) < 1e-10 * k ) break;
+	}
+	
+	for (var iter=0; iter<50 && vlog; iter++) {	// newton on sum x^w lnx / sum x^w - 1/w = mean lnx
+		var S0 = 0, S1 = 0, S2 = 0;
+		
+		x.$( i => {
+			var xw = x[i] ** w;
+			S0 += xw; 
+			S1 += xw * lnx[i]; 
+			S2 += xw * lnx[i]**2;
+		});
+		
+		var dw = ( S1/S0 - 1/w - mlog ) / ( (S2*S0 - S1*S1) / (S0*S0) + 1/(w*w) );
+		w = max( w - dw, w/10 );
+		if ( abs(dw) < 1e-10 * w ) break;
+	}
+	
+	var 
+		theta = mean / k,
+		lambda = ( x.reduce( (sum,x) => sum + x**w, 0 ) / n ) ** (1/w),
+		fits = {
+			exp: { mean: mean, loglik: -n * log(mean) - n, params: 1 },
+			gamma: { 
+				shape: k, scale: theta, params: 2,
+				loglik: (k - 1) * n * mlog - n * mean / theta - n * ( k * log(theta) + lgamma(k) ) },
+			weibull: { 
+				shape: w, scale: lambda, params: 2,
+				loglik: n * log(w) - n * w * log(lambda) + (w - 1) * n * mlog - x.reduce( (sum,x) => sum + (x/lambda)**w, 0 ) },
+			lognormal: { 
+				mu: mlog, sigma: sqrt(vlog), params: 2,
+				loglik: vlog ? -n * mlog - n/2 * log( 2*PI*vlog ) - n/2 : -Infinity }
+		},
+		best = null;
+	
+	for (var type in fits) {
+		var fit = fits[type];
+		
+		fit.aic = 2 * fit.params - 2 * fit.loglik;
+		if ( !best || fit.aic < fits[best].aic ) best = type;
+	}
+	
+	return { samples: n, mean: mean, fits: fits, best: best };
+}
+
+function parentIndex(key, K) {  //< index of parent states key "k1,k2,..." in the family counts
+	var states = key ? key.split(",") : [];
+	
+	for (var idx = 0, n=0; n<states.length; n++) idx = idx * K + parseInt( states[n] );
+	return idx;
+}
+
+function familyCounts(i, pa, cases, K) {  //< [K^|pa|] [K] counts of node i states given its parent states
+	var counts = $( K**pa.length, (j,C) => C[j] = $(K, $zero) );
+	
+	cases.forEach( U => {
+		for (var j = 0, n=0; n<pa.length; n++) j = j * K + U[ pa[n] ];
+		counts[ j ][ U[ i ] ]++;
+	});
+	
+	return counts;
+}
+
+function familyScore(i, pa, cases, K, struct) {  //< bic or bdeu score of node i given its parents pa
+	var 
+		counts = familyCounts( i, pa, cases, K ),
+		q = counts.length,
+		M = cases.length,
+		score = 0;
+	
+	if ( struct.score == "bdeu" ) {
+		var aj = struct.ess / q, ajk = aj / K;
+		
+		counts.forEach( Nj => {
+			score += lgamma( aj ) - lgamma( aj + Nj.sum() );
+			Nj.forEach( Njk => score += lgamma( ajk + Njk ) - lgamma( ajk ) );
+		});
+	}
+	
+	else {	// bic
+		counts.forEach( Nj => {
+			var N0 = Nj.sum();
+			Nj.forEach( Njk => score += Njk ? Njk * log( Njk / N0 ) : 0 );
+		});
+		
+		score -= log( max(M,1) ) / 2 * q * (K - 1);
+	}
+	
+	return score;
+}
+
+function topoOrder(dag, N) {  //< ancestral (parents before children) order of the N nodes of a dag = { node: [parent, ...], ... }; null if cyclic
+	var 
+		order = [],
+		cyclic = false,
+		state = $(N, $zero),		// 0 unvisited, 1 visiting, 2 done
+		visit = i => {
+			if ( state[ i ] == 1 ) 
+				cyclic = true;
+			
+			else
+			if ( !state[ i ] ) {
+				state[ i ] = 1;
+				( dag[ i ] || [] ).forEach( visit );
+				state[ i ] = 2;
+				order.push( i );
+			}
+		};
+	
+	for (var i=0; i<N; i++) visit( i );
+	return cyclic ? null : order;
+}
+
+function perms(vec,dims,vecs,norm) {  //< generate permutations
+
+	if (vec.length == dims.length) 
+		vecs.push(vec);
+	
+	else 
+		for (var idx = 0, max = dims[vec.length]; idx<max; idx++) 
+			perms(vec.concat( norm ? norm(idx,max) : idx), dims, vecs,norm);
+	
+	return vecs;
+}
+
+function poisson(m,a) {
+	// a^m e(-a) / m!
+	for (var sum=0,k=m; k; k--) sum += log(k);
+	return exp( m*log(a) - a - sum );	
+}
+
+function dirichlet(alpha,grid,logP) {  // dirchlet allocation
+	var 
+		K = alpha.length,
+		N = x[0].length,
+		logBs = $(K, (k,B) => B[k] = GAMMA.log( alpha[k] ) ),
+		logB = logBs.sum() - GAMMA.log( alpha.sum() );
+	
+	grid.$( n => {
+		var
+			logAs = $(K, (k,A) => A[k] = (alpha[k] - 1) * log( grid[k] ) ),
+			logA = logAs.sum();
+	
+		logP[n] = logA - logB;
+	});
+}	
+
+function index(keys, dims) {
+	var N  = dims.length, idx = 0, off = 1;
+	
+	if (keys.length == 1)
+		idx = parseInt(keys[0]);
+	
+	else
+		for (var n=0; n<N; off *= dims[n], n++) 
+			idx += off * parseInt( keys[n] );
+
+	//Log( keys, idx);
+	
+	return idx;
+}
+
+[  
+	function index(key, K, cb) {	// callback each "k1,k2,..." states key of these K-state nodes, else return the key of the given states
+		if (cb)
+			if (key.length == this.length) 
+				cb( key.join(",") );
+
+			else
+				for (var k=0; k<K; k++)
+					this.index( key.concat(k), K, cb );
+		
+		else 
+			return this.map( n => key[n] ).join(",");
+	},
+	
+	function sample(delta) {
+		var 
+			A = this,
+			k = 0,
+			rtn = $( floor(A.length/delta), (n,NR) => NR[n] = A[k += delta] );
+			return rtn;
+	},
+	
+	function sum(cb) {
+		for (var A=this, Sum=0, k=0, K= A.length; k<K; k++) Sum+= A[k];
+
+		if (cb) cb(Sum,this);
+
+		return Sum;
+	},
+
+	function avg() {
+		return this.sum() / this.length;
+	},
+
+	function max() {
+		var A = this, Amax = -1e99, Aidx = 0;
+		A.$( (k) => {
+			if ( A[k] > Amax ) {
+				Amax = A[k];
+				Aidx = k;
+			}
+		});
+		return Amax;
+	}
+
+	/*function use(cb) {	// use vector A with callback cb(idx,A)
+		var A = this, N = A.length;
+
+		if (A.rows) {
+			var M = A.rows, N = A.columns;
+
+			for (var m=0; m<M; m++) for (var n=0, Am = A[m]; n<N; n++) cb(m,n,A,Am);
+			return A;
+		}
+
+		else
+			for (var n=0,N=A.length; n<N; n++) cb(n,A);
+
+		return A;
+	}	*/
 ].Extend(Array);
 
-switch ( process.argv[2] ) {   //< unit tests
-	case "?":
-		Log("unit test with 'node randpr.js [R1 || R2 || ...]'");
+if ( require.main === module && [ "generate", "learn", "analyze" ].indexOf( process.argv[2] ) >= 0 ) 	// command line runs
+	cli( process.argv.slice(2) );
+
+else
+switch ( process.argv[2] ) {   //< unit tests
+	case "?":
+		Log("unit test with 'node randpr.js [R1 || R2 || ...]' or run 'node randpr.js [generate || learn || analyze] --config cfg.json'");
+		break;
+		
+	case "R1":  // mean recurrence times
+		Log( meanRecurTimes(  
+			[[0.5,0.25,0.25],[0.5,0,0.5],[0.25,0.25,0.5]]   // regular and ergodic
+/*
+MRT det= 0.375
+[ [ 2.5, 4, 3.3333333333333335 ],
+  [ 2.6666666666666665, 5, 2.6666666666666665 ],
+  [ 3.3333333333333335, 4, 2.5 ] ]
+
+*/
+			// [[0,1,0,0,0], [.25,0,.75,0,0], [0,.5,0,.5,0], [0,0,.75,0,.25], [0,0,0,1,0]]  // not regular but ergodic (no absorbing states)
+/*
+MRT det= 0.09375
+[ [ 16.000000000000007,
+1,
+2.666666666666666,
+6.333333333333334,
+21.333333333333336 ],
+[ 15.000000000000004,
+4,
+1.6666666666666665,
+5.333333333333334,
+20.333333333333336 ],
+[ 18.66666666666667,
+3.666666666666667,
+2.666666666666666,
+3.666666666666667,
+18.666666666666668 ],
+[ 20.33333333333334, 5.333333333333334, 1.666666666666666, 4, 15 ],
+[ 21.33333333333334, 6.333333333333334, 2.666666666666666, 1, 16 ] ]
+
+*/
+		)); 
+		break;
+		
+	case "R2":	  // absorption times
+		Log( firstAbsorb( 
+			[[1,0,0,0,0],[0.5,0,0.5,0,0],[0,0.5,0,0.5,0],[0,0,0.5,0,0.5],[0,0,0,0,1]] // 2 absorbing states
+/*
+{ times: [ [ 3 ], [ 3.9999999999999996 ], [ 2.9999999999999996 ] ],
+  probs: 
+   [ [ 0.75, 0.24999999999999997 ],
+     [ 0.49999999999999994, 0.49999999999999994 ],
+     [ 0.24999999999999997, 0.7499999999999999 ] ],
+  states: [ 1, 5 ] }
+*/
+			//[[0.5,0.25,0.25],[0.5,0,0.5],[0.25,0.25,0.5]]  // no absorbing stats
+/*
+{ times: [], probs: [], states: [] }
+*/
+		));
+		break;
+		
+	case "R2.1":  // config methods
+		var ran = new RAN({
+			p: [.4],
+/*
+p->trP 2 [ [ 0.6, 0.4 ], [ 0.4, 0.6 ], rows: 2, columns: 2 ]
+R> { 'MRT det': 0.4 }
+R> { keys: 
+   { index: 'n',
+     state: 'u',
+     class: 'k',
+     x: 'x',
+     y: 'y',
+     z: 'z',
+     t: 't' },
+  states: 2,
+  syms: { '0': 0, '1': 1 },
+  xmap: [ 1, -1 ] }
+*/
+
+			//markov: [[0.1, 0.9], [0.1, 0.9]]
+/*
+MRT det= 0.09999999999999998
+R> { keys: 
+   { index: 'n',
+     state: 'u',
+     class: 'k',
+     x: 'x',
+     y: 'y',
+     z: 'z',
+     t: 't' },
+  states: 2,
+  syms: { '0': 0, '1': 1 },
+  xmap: [ 1, -1 ],
+  trProbs: [ [ 0.1, 0.9 ], [ 0.1, 0.9 ] ] }
+  */
+			//markov: { states: 3, 0: {1: 0.8, 2: 0.1}, 1: {0: 0.1} }
+/*
+R> { 'MRT det': 0 }
+R> Proposed process is not ergodic, thus no unique eq prob exist. Matrix {
+  _data: 
+   [ [ 0.09999999999999998, 0.8, 0.1 ],
+     [ 0.1, 0.9, 0 ],
+     [ 0, 0, 1 ],
+     rows: 3,
+     columns: 3 ],
+  _size: [ 3, 3 ],
+  _datatype: undefined }
+R> { keys: 
+   { index: 'n',
+     state: 'u',
+     class: 'k',
+     x: 'x',
+     y: 'y',
+     z: 'z',
+     t: 't' },
+  states: 3,
+  syms: { '0': 0, '1': 1, '2': 2 },
+  xmap: [ 0, 1, -1 ] }
+  */
+		});
+		break;
+
+	case "R2.3":  // config methods
+		var ran = new RAN({
+			emP: {
+				dims: [3,3],
+				weights: [1,1]
+			},
+			markov: { states: 9, 0: {1: 0.8, 2: 0.1}, 1: {0: 0.1}, "0,1": { "1,0": .4} }
+		});
+/*
+markov [ [ 0.09999999999999998, 0.8, 0.1, 0, 0, 0, 0, 0, 0 ],
+  [ 0.1, 0.9, 0, 0, 0, 0, 0, 0, 0 ],
+  [ 0, 0, 1, 0, 0, 0, 0, 0, 0 ],
+  [ 0, 0.4, 0, 0.6, 0, 0, 0, 0, 0 ],
+  [ 0, 0, 0, 0, 1, 0, 0, 0, 0 ],
+  [ 0, 0, 0, 0, 0, 1, 0, 0, 0 ],
+  [ 0, 0, 0, 0, 0, 0, 1, 0, 0 ],
+  [ 0, 0, 0, 0, 0, 0, 0, 1, 0 ],
+  [ 0, 0, 0, 0, 0, 0, 0, 0, 1 ],
+  rows: 9,
+  columns: 9 ]
+MRT det= 0
+Proposed process is not ergodic, thus no unique eq prob exist.  Specify one of the following eq state prs: P^inf -->  [ [ 0.07488979632860272,
+    0.6664427612064783,
+    0.25866744246492035,
+    0,
+    0,
+    0,
+    0,
+    0,
+    0 ],
+  [ 0.08330534515080978,
+    0.7413325575350811,
+    0.1753620973141107,
+    0,
+    0,
+    0,
+    0,
+    0,
+    0 ],
+  [ 0, 0, 1, 0, 0, 0, 0, 0, 0 ],
+  [ 0.08545738443447844,
+    0.7605083027756313,
+    0.15399775120549114,
+    0.00003656158440062975,
+    0,
+    0,
+    0,
+    0,
+    0 ],
+  [ 0, 0, 0, 0, 1, 0, 0, 0, 0 ],
+  [ 0, 0, 0, 0, 0, 1, 0, 0, 0 ],
+  [ 0, 0, 0, 0, 0, 0, 1, 0, 0 ],
+  [ 0, 0, 0, 0, 0, 0, 0, 1, 0 ],
+  [ 0, 0, 0, 0, 0, 0, 0, 0, 1 ] ]
+9 [ [ 0.09999999999999998, 0.8, 0.1, 0, 0, 0, 0, 0, 0 ],
+  [ 0.1, 0.9, 0, 0, 0, 0, 0, 0, 0 ],
+  [ 0, 0, 1, 0, 0, 0, 0, 0, 0 ],
+  [ 0, 0.4, 0, 0.6, 0, 0, 0, 0, 0 ],
+  [ 0, 0, 0, 0, 1, 0, 0, 0, 0 ],
+  [ 0, 0, 0, 0, 0, 1, 0, 0, 0 ],
+  [ 0, 0, 0, 0, 0, 0, 1, 0, 0 ],
+  [ 0, 0, 0, 0, 0, 0, 0, 1, 0 ],
+  [ 0, 0, 0, 0, 0, 0, 0, 0, 1 ],
+  rows: 9,
+  columns: 9 ] 1
+states [ 0, 1, -1, 2, -2, 3, -3, 4, -4 ]
+*/
+		break;
+		
+	case "R2.4":  // config methods
+		var ran = new RAN({
+			emP: {
+				dims: [2,2,2],
+				weights: [1,1,1]
+			},
+			markov: "random"
+		});
+		break;
+		
+	case "R3":  // sync pipe with various textbook examples, custom filtering with supervised learning validation
+		var ran = new RAN({
+			// these have same eqprs [.5, .5] (symmetry -> detailed balance --> eqP[k] = 1/K  eqpr)
+			//markov: [[.6, .4],[.4, .6]],
+/*
+{ stats: 
+   { mle_holding_times: [ [Array], [Array], rows: 2, columns: 2 ],
+     rel_error: 0.00230801881786998,
+     mle_em_probs: null,
+     mle_tr_probs: [ [Array], [Array], rows: 2, columns: 2 ],
+     tr_counts: [ [Array], [Array], rows: 2, columns: 2 ],
+     mean_count: 199.864,
+     coherence_time: 5.087382805828901,
+     coherence_intervals: 98.28236228402585,
+     correlation_0lag: 1,
+     mean_intensity: 0.399728,
+     degeneracy_param: 2.033569354208375,
+     snr: 8.116902388701156 },
+  t: 500,
+  at: 'end' }
+MLEs { holdTimes: '[[0,2.4961510304589924],[2.4806757386729417,0]]',
+  emProbs: 'null',
+  trProbs: '[[0.601384811290722,0.39861518870927803],[0.40071697978935383,0.5992830202106462]]' }
+*/
+			//markov: [[0.83177, 0.16822], [0.17152, 0.82848]],
+/*
+{ stats: 
+   { mle_holding_times: [ [Array], [Array], rows: 2, columns: 2 ],
+     rel_error: 0.0006768785070861166,
+     mle_em_probs: null,
+     mle_tr_probs: [ [Array], [Array], rows: 2, columns: 2 ],
+     tr_counts: [ [Array], [Array], rows: 2, columns: 2 ],
+     mean_count: 84.552,
+     coherence_time: 8.834248950434436,
+     coherence_intervals: 56.59790694209629,
+     correlation_0lag: 1,
+     mean_intensity: 0.169104,
+     degeneracy_param: 1.493906834514265,
+     snr: 5.822665342257233 },
+  t: 500,
+  at: 'end' }
+MLEs { holdTimes: '[[0,5.886354079058032],[5.810975609756097,0]]',
+  emProbs: 'null',
+  trProbs: '[[0.832333007235839,0.167666992764161],[0.169801047868115,0.830198952131885]]' }
+  */
+			//markov: [[.5, .5], [.5, .5]],
+/*
+{ stats: 
+   { mle_holding_times: [ [Array], [Array], rows: 2, columns: 2 ],
+     rel_error: 0.0006653832163736606,
+     mle_em_probs: null,
+     mle_tr_probs: [ [Array], [Array], rows: 2, columns: 2 ],
+     tr_counts: [ [Array], [Array], rows: 2, columns: 2 ],
+     mean_count: 249.94,
+     coherence_time: 3.705298163728831,
+     coherence_intervals: 134.94190694139024,
+     correlation_0lag: 1,
+     mean_intensity: 0.49988,
+     degeneracy_param: 1.8522044460847678,
+     snr: 9.361114481670487 },
+  t: 500,
+  at: 'end' }
+MLEs { holdTimes: '[[0,1.9922586601800394],[1.9936797628135707,0]]',
+  emProbs: 'null',
+  trProbs: '[[0.5003326916081868,0.4996673083918131],[0.49942810529955756,0.5005718947004424]]' }
+  */
+			//markov: [[0.1, 0.9], [0.9, 0.1]],
+
+			// textbook exs
+			markov: [[0.1, 0.9], [0.1, 0.9]],  // pg142 ex3
+/*  no emP
+{ stats: 
+   { mle_holding_times: [ [Array], [Array], rows: 2, columns: 2 ],
+     rel_error: 0.01865509761388287,
+     mle_em_probs: null,
+     mle_tr_probs: [ [Array], [Array], rows: 2, columns: 2 ],
+     tr_counts: [ [Array], [Array], rows: 2, columns: 2 ],
+     mean_count: 91.424,
+     coherence_time: 3.4536132327429123,
+     coherence_intervals: 144.7759104174188,
+     correlation_0lag: 1,
+     mean_intensity: 0.182848,
+     degeneracy_param: 0.6314862723805761,
+     snr: 7.485803061566579 },
+  t: 500,
+  at: 'end' }
+MLEs { holdTimes: '[[0,1.1008115157955753],[9.660927669121593,0]]',
+  emProbs: 'null',
+  trProbs: '[[0.10186550976138829,0.8981344902386117],[0.10127438873795999,0.89872561126204]]' }
+*/
+			
+			//markov: [[1/2, 1/3, 1/6], [3/4, 0, 1/4], [0,1,0]],  // pg142 ex2  eqpr [.5, .333, .1666]
+			//markov: [[1,0,0], [1/4, 1/2, 1/4], [0,0,1]],  // pg143 ex8  no eqprs
+
+			// these have different eqprs
+			//markov: [[0.9,0.1],[0.1,0.9]],
+			//markov: [[0.1, 0.9], [0.1, 0.9]],  // bernoulli scheme has identical rows
+			//markov: [[0.1, 0.9], [0.3, 0.7]],
+			//markov: [[0.1, 0.9], [0.4, 0.6]],
+
+			// textbook exs 
+			//markov: [[0,1],[1,0]],  // pg433 ex16  regular (all states reachable) absorbing/non on even/odd steps non-regular non-absorbing but ergodic so --> eqpr [.5, .5]
+			//markov: [[0.5,0.25,0.25],[0.5,0,0.5],[0.25,0.25,0.5]],  // pg406 ex1  regular (after 2 steps) thus ergodic so eqpr [.4, .2, .4]
+			//markov: [[0,1,0,0,0], [0.25,0,0.75,0,0], [0,0.5,0,0.5,0], [0,0,0.75,0,0.25], [0,0,0,1,0]],  // pg433 ex17  non-absorbing non-regular but ergodic so eqpr [.0625, .25, .375]
+			//markov: [[1,0,0,0,0],[0.5,0,0.5,0,0],[0,0.5,0,0.5,0],[0,0,0.5,0,0.5],[0,0,0,0,1]],    // 2 absorbing states; non-ergodic so 3 eqpr = [.75 ... .25], [.5 ... .5], [.25 ...  .75]
+
+			//markov: [[1-.2, .1, .1], [0, 1-.1, .1], [.1, .1, 1-.2]],
+			//markov: [[1-.2, .1, .1], [0.4, 1-.5, .1], [.1, .1, 1-.2]],
+			//markov: [[1-.6, .2, .2,.2], [.1, 1-.3, .1,.1], [.1, .1, 1-.4,.2],[.1,.1,1-.8,.6]],  // non-ergodic
+			
+			/*
+			emP: {
+				mu: [ [1], [1.1] ],
+				sigma: [ [[1]], [[2]] ]
+			}, */
+/*
+ stats: 
+   { mle_holding_times: [ [Array], [Array], rows: 2, columns: 2 ],
+     rel_error: 0.015151515151515249,
+     mle_em_probs: [ [Object], [Object] ],
+     mle_tr_probs: [ [Array], [Array], rows: 2, columns: 2 ],
+     tr_counts: [ [Array], [Array], rows: 2, columns: 2 ],
+     mean_count: 90.444,
+     coherence_time: 3.4312900617373834,
+     coherence_intervals: 145.7177886461841,
+     correlation_0lag: 1,
+     mean_intensity: 0.180888,
+     degeneracy_param: 0.6206791966875518,
+     snr: 7.470356916777998 },
+  t: 500,
+  at: 'end' }
+MLEs { holdTimes: '[[0,1.0968340824701974],[9.798737174427782,0]]',
+  emProbs: '[
+  	{"weight":0.5444315148931079,"mu":[1.0139285640388083],"sigma":[[1.020168448272447]],"_gaussian":
+  		{"sigma":[[1.020168448272447]],"mu":[1.0139285640388083],"k":1,"_sinv":[[0.9802302763758278]],"_coeff":0.3949791055911031}},
+		
+	{"weight":0.4555684851068921,"mu":[1.071684787418599],"sigma":[[2.070246038073367]],"_gaussian":
+		{"sigma":[[2.070246038073367]],"mu":[1.071684787418599],"k":1,"_sinv":[[0.48303437447011366]],"_coeff":0.2772675754216858}}]',
+  trProbs: '[[0.09848484848484848,0.9015151515151515],[0.09996252391565909,0.9000374760843409]]' }
+*/
+
+			batch: 50,  // supervised learning every 50 steps
+			
+			filter: function (str, ev) {  
+				switch (ev.at) {
+					case "config":
+						//Log(ev);
+						str.push(ev);
+						break;
+
+					case "batch":
+						//Log(ev.s,ev.rel_txpr_error);
+						Log(ev);
+						break;
+
+					case "end":
+						Log(ev);
+						var
+							A = ev.stats.mle_tr_probs,
+							B = ev.stats.mle_em_probs,
+							H = ev.stats.mle_holding_times;
+						
+						Log("MLEs", {
+							holdTimes: JSON.stringify(H),
+							emProbs: JSON.stringify(B),
+							trProbs: JSON.stringify(A)
+						});
+							
+						str.push(ev);
+						break;
+				}
+			},
+
+			N: 500,
+			steps: 500
+		});
+		
+		ran.pipe( function (store) {
+			//Log(store);
+		});
+		break;
+		
+	case "R3.1":  // gen process for R3.2 with async pipe to stdout
+		var ran = new RAN({
+
+			markov: [[0.1, 0.9], [0.1, 0.9]],  // pg142 ex3
+
+			batch: 800,  // supervised learning every 50 steps
+			
+			N: 1000, 
+			filter: function (str,ev) {
+				switch (ev.at) {
+					case "batch":
+					case "config":
+					case "end":
+						Log(JSON.stringify(ev));
+				}
+			},
+			steps: 800  
+		});
+		ran.pipe(process.stdout);
+/*  
+stats : 
+{"mle_holding_times":[[0,1.1092640860692102],[9.909690370969315,0]],"rel_error":0.00471644740291818,"mle_em_probs":null,"mle_tr_probs":[[0.10424480266262637,0.8957551973373736],[0.09969867042494697,0.900301329575053]],"tr_counts":[[8394,72128],[71731,647747]],"mean_count":143.859,"coherence_time":5.574154300194505,"coherence_intervals":143.519529047139,"correlation_0lag":1,"mean_intensity":0.17982375,"degeneracy_param":1.0023653293396015,"snr":8.476115384436026}}		
+*/
+		
+		break;		
+		
+	case "R3.2":  // gen process for R3.3 using async pipe to stdout
+		var ran = new RAN({
+
+			markov: [[0.1, 0.9], [0.1, 0.9]],  // pg142 ex3
+
+			//batch: 50,  // supervised learning every 50 steps
+			
+			N: 10,
+			//keys: {state:"u", index: "n"},
+			filter: function (str,ev) {
+				switch (ev.at) {
+					case "jump":
+						Log(ev);
+						break;
+					default:
+				}
+			},
+			steps: 20
+		});
+		ran.pipe(process.stdout);
+		/* copy stdout evs to R3.3 evs */
+		break;		
+		
+	case "R3.3":  // supervised learning with R3.2 evs using sync pipe to store
+		var 
+			evs = [
+{ at: 'jump', t: 1, s: 1, index: 3, state: 0, hold: 0, obs: null },
+{ at: 'jump', t: 1, s: 1, index: 5, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 1, s: 1, index: 6, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 1, s: 1, index: 7, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 1, s: 1, index: 8, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 1, s: 1, index: 9, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 2, s: 2, index: 2, state: 0, hold: 0, obs: null },
+{ at: 'jump', t: 2, s: 2, index: 3, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 3, s: 3, index: 2, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 3, s: 3, index: 6, state: 0, hold: 0, obs: null },
+{ at: 'jump', t: 4, s: 4, index: 6, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 5, s: 5, index: 1, state: 0, hold: 0, obs: null },
+{ at: 'jump', t: 6, s: 6, index: 1, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 8, s: 8, index: 9, state: 0, hold: 0, obs: null },
+{ at: 'jump', t: 9, s: 9, index: 3, state: 0, hold: 0, obs: null },
+{ at: 'jump', t: 9, s: 9, index: 8, state: 0, hold: 0, obs: null },
+{ at: 'jump', t: 9, s: 9, index: 9, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 10, s: 10, index: 3, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 10, s: 10, index: 8, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 11, s: 11, index: 4, state: 0, hold: 0, obs: null },
+{ at: 'jump', t: 13, s: 13, index: 4, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 13, s: 13, index: 8, state: 0, hold: 0, obs: null },
+{ at: 'jump', t: 14, s: 14, index: 8, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 15, s: 15, index: 0, state: 0, hold: 0, obs: null },
+{ at: 'jump', t: 16, s: 16, index: 0, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 16, s: 16, index: 1, state: 0, hold: 0, obs: null },
+{ at: 'jump', t: 16, s: 16, index: 3, state: 0, hold: 0, obs: null },
+{ at: 'jump', t: 17, s: 17, index: 3, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 18, s: 18, index: 1, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 18, s: 18, index: 3, state: 0, hold: 0, obs: null },
+{ at: 'jump', t: 18, s: 18, index: 6, state: 0, hold: 0, obs: null },
+{ at: 'jump', t: 18, s: 18, index: 9, state: 0, hold: 0, obs: null },
+{ at: 'jump', t: 19, s: 19, index: 3, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 19, s: 19, index: 6, state: 1, hold: 0, obs: null },
+{ at: 'jump', t: 19, s: 19, index: 9, state: 1, hold: 0, obs: null }
+				],
+			ran = new RAN({
+
+				learn: function (supercb) {
+					evs.$( "group", (evs) => {
+						Log( evs ? ` supervising ${evs.length} events` : " supervised" );
+						
+						if (evs) // feed supervisor
+							supercb(evs);
+
+						else // terminate supervisor
+							supercb(null);
+					});
+				},			
+
+				batch: 50,  // supervised learning every 50 steps
+
+				filter: function (str, ev) {  
+					switch (ev.at) {
+						case "config":
+							Log(ev);
+							str.push(ev);
+							break;
+
+						case "batch":
+							//Log(ev.s,ev.rel_txpr_error);
+							Log(ev);
+							break;
+
+						case "end":
+							//Log(ev);
+							str.push(ev);
+							break;
+					}
+				},
+
+				markov: {},  
+				//keys: {state:"u", index: "n"},
+				K: 2,  // assume 2-state process
+				N: 50  // assume 50 members in ensemble
+			});
+	
+		ran.pipe( function (store) {
+			Log(store);
+		});
+		/*
+ 1 '00000111110000000000000000000000000000000000000000'
+ 2 '00010111110000000000000000000000000000000000000000'
+ 3 '00110101110000000000000000000000000000000000000000'
+ 4 '00110111110000000000000000000000000000000000000000'
+ 5 '00110111110000000000000000000000000000000000000000'
+ 6 '01110111110000000000000000000000000000000000000000'
+ 8 '01110111100000000000000000000000000000000000000000'
+ 9 '01100111010000000000000000000000000000000000000000'
+10 '01110111110000000000000000000000000000000000000000'
+11 '01110111110000000000000000000000000000000000000000'
+13 '01111111010000000000000000000000000000000000000000'
+14 '01111111110000000000000000000000000000000000000000'
+15 '01111111110000000000000000000000000000000000000000'
+16 '10101111110000000000000000000000000000000000000000'
+17 '10111111110000000000000000000000000000000000000000'
+18 '11101101100000000000000000000000000000000000000000'
+19 '11111111110000000000000000000000000000000000000000'
+*/
+		break;	
+				
+	case "R4.1":  // observation permutations
+		Log(perms([],[2,6,4],[]));
+		break;
+					
+	case "R4.2":  // observation permutations
+		Log(perms([],[2,6,4],[], function (idx,max) {
+			return idx / max;
+		}));
+		break;
+		
+	case "R5.1":  // reproducible runs from a seed
+		var 
+			run = (seed, cfg) => {	// events, mixing draws and ornstein positions of a seeded run
+				var ran = new RAN( Copy( cfg || {}, {
+					markov: [[0.1, 0.9], [0.1, 0.9]],  // pg142 ex3
+					seed: seed,
+					substreams: true,
+					batch: 10,
+					N: 20,
+					steps: 30
+				}) );
+				
+				ran.pipe( store => store );
+				return JSON.stringify([ 
+					ran.store, 
+					ran.mixing ? [ ran.mixing.obs, ran.mixing.parm ] : null, 
+					ran.ornstein ? ran.ornstein.X : null 
+				]);
+			},
+			mixing = () => ({ mixing: { mu: [[0, 0], [2, 2]], sigma: [[[1, 0.5], [0.5, 1]], [[1, 0], [0, 1]]] } }),
+			grid = () => ({ markov: { states: 4 }, mixing: { dims: [2,2], weights: [1,1] } }),
+			ornstein = () => ({ markov: null, ornstein: { theta: 0.5, mu: [0, 1], sigma: [[1, 0], [0.5, 1]] } });
+		
+		ASSERT.equal( run(42), run(42), "seeded runs identical" );
+		ASSERT.notEqual( run(42), run(43), "seeds give different runs" );
+		ASSERT.equal( run("mix", mixing()), run("mix", mixing()), "seeded mixing runs identical" );
+		ASSERT.notEqual( run("mix", mixing()), run("xim", mixing()), "mixing draws follow the seed" );
+		ASSERT.equal( run("grid", grid()), run("grid", grid()), "seeded mixing grid runs identical" );
+		ASSERT.equal( run("ou", ornstein()), run("ou", ornstein()), "seeded ornstein runs identical" );
+		ASSERT.notEqual( run("ou", ornstein()), run("uo", ornstein()), "ornstein draws follow the seed" );
+		Log("R5.1 passed");
+		break;
+		
+	case "R5.2":  // baum-welch learning of a hidden markov mixing process
+		var 
+			obs = [],
+			gen = new RAN({
+				markov: [[0.9, 0.1], [0.2, 0.8]],
+				mixing: {
+					mu: [ [0], [3] ],
+					sigma: [ [[1]], [[1]] ]
+				},
+				hmm: {},
+				seed: 1,
+				filter: function (str, ev) {
+					if ( ev.at == "obs" ) obs.push(ev);
+				},
+				N: 10,
+				steps: 200
+			});
+		
+		gen.pipe( store => store );
+		
+		var 
+			errors = [],
+			ran = new RAN({
+				learn: function (supercb) {
+					obs.concat( [{t: obs[0].t, n: 99, v: 0}] ).$( "group", evs => supercb(evs) );	// one event outside the ensemble
+				},
+				hmm: { states: 2 },
+				batch: 50,
+				filter: function (str, ev) {
+					switch (ev.at) {
+						case "error":
+							errors.push(ev.error);
+							break;
+							
+						case "end":
+							str.push(ev);
+							break;
+					}
+				},
+				seed: 1,
+				N: 10
+			});
+		
+		ran.pipe( store => {
+			var 
+				stats = store.pop().stats,
+				mu = stats.mle_em_probs.map( B => B.mu[0] ),
+				lo = mu[0] < mu[1] ? 0 : 1, hi = 1 - lo,	// hidden states are learned up to a relabeling
+				A = stats.mle_tr_probs;
+			
+			ASSERT.deepEqual( errors, ["invalid ensemble index n=99"] );
+			ASSERT.ok( abs( mu[lo] - 0 ) < 0.2 && abs( mu[hi] - 3 ) < 0.2, "emission means" );
+			ASSERT.ok( abs( A[lo][lo] - 0.9 ) < 0.05 && abs( A[hi][hi] - 0.8 ) < 0.05, "trans probs" );
+			Log("R5.2 passed");
+		});
 		break;
 		
-	case "R1":  // mean recurrence times
-		Log( meanRecurTimes(  
-			[[0.5,0.25,0.25],[0.5,0,0.5],[0.25,0.25,0.5]]   // regular and ergodic
-/*
-MRT det= 0.375
-[ [ 2.5, 4, 3.3333333333333335 ],
-  [ 2.6666666666666665, 5, 2.6666666666666665 ],
-  [ 3.3333333333333335, 4, 2.5 ] ]
-
-*/
-			// [[0,1,0,0,0], [.25,0,.75,0,0], [0,.5,0,.5,0], [0,0,.75,0,.25], [0,0,0,1,0]]  // not regular but ergodic (no absorbing states)
-/*
-MRT det= 0.09375
-[ [ 16.000000000000007,
-1,
-2.666666666666666,
-6.333333333333334,
-21.333333333333336 ],
-[ 15.000000000000004,
-4,
-1.6666666666666665,
-5.333333333333334,
-20.333333333333336 ],
-[ 18.66666666666667,
-3.666666666666667,
-2.666666666666666,
-3.666666666666667,
-18.666666666666668 ],
-[ 20.33333333333334, 5.333333333333334, 1.666666666666666, 4, 15 ],
-[ 21.33333333333334, 6.333333333333334, 2.666666666666666, 1, 16 ] ]
-
-*/
-		)); 
+	case "R5.3":  // viterbi decoding of a generated hidden markov mixing process
+		var 
+			paths = [],
+			ran = new RAN({
+				markov: [[0.9, 0.1], [0.2, 0.8]],
+				mixing: {
+					mu: [ [0], [3] ],
+					sigma: [ [[1]], [[1]] ]
+				},
+				decode: true,
+				seed: 1,
+				filter: function (str, ev) {
+					switch (ev.at) {
+						case "decode":
+							paths.push(ev);
+							break;
+							
+						case "end":
+							str.push(ev);
+							break;
+					}
+				},
+				N: 10,
+				steps: 100
+			});
+		
+		ran.pipe( store => {
+			var stats = store.pop().stats;
+			
+			ASSERT.equal( paths.length, 10, "one decoded path per member" );
+			paths.forEach( ev => {
+				ASSERT.equal( ev.path.length, ev.post_probs.length );
+				ev.post_probs.forEach( P => ASSERT.ok( abs( P[0] + P[1] - 1 ) < 1e-9, "posterior state probs sum to 1" ) );
+			});
+			ASSERT.ok( stats.decode_accuracy > 0.9, "decoding accuracy" );
+			
+			new RAN({	// emissions on a state grid decode too
+				markov: { states: 4 },
+				mixing: { dims: [2,2], weights: [1,1] },
+				decode: true,
+				seed: 1,
+				filter: function (str, ev) {
+					if ( ev.at == "end" ) str.push(ev);
+				},
+				N: 5,
+				steps: 50
+			}).pipe( store => {
+				var acc = store.pop().stats.decode_accuracy;
+				
+				ASSERT.ok( acc >= 0 && acc <= 1, "grid decoding accuracy" );
+				Log("R5.3 passed");
+			});
+		});
 		break;
 		
-	case "R2":	  // absorption times
-		Log( firstAbsorb( 
-			[[1,0,0,0,0],[0.5,0,0.5,0,0],[0,0.5,0,0.5,0],[0,0,0.5,0,0.5],[0,0,0,0,1]] // 2 absorbing states
-/*
-{ times: [ [ 3 ], [ 3.9999999999999996 ], [ 2.9999999999999996 ] ],
-  probs: 
-   [ [ 0.75, 0.24999999999999997 ],
-     [ 0.49999999999999994, 0.49999999999999994 ],
-     [ 0.24999999999999997, 0.7499999999999999 ] ],
-  states: [ 1, 5 ] }
-*/
-			//[[0.5,0.25,0.25],[0.5,0,0.5],[0.25,0.25,0.5]]  // no absorbing stats
-/*
-{ times: [], probs: [], states: [] }
-*/
-		));
+	case "R5.4":  // continuous-time markov process from its generator
+		var 
+			Q = [[-5, 1], [2, 0]],	// unbalanced rates balance to [[-1, 1], [2, -2]] with eqpr [2/3, 1/3]
+			ran = new RAN({
+				generator: Q,
+				batch: 50,
+				seed: 1,
+				filter: function (str, ev) {
+					switch (ev.at) {
+						case "end":
+							str.push(ev);
+							break;
+					}
+				},
+				N: 100,
+				steps: 100
+			});
+		
+		ASSERT.deepEqual( Q, [[-5, 1], [2, 0]], "caller's generator is left as given" );
+		ASSERT.deepEqual( ran.A.slice(), [[-1, 1], [2, -2]] );	// sans its jump-chain props
+		ASSERT.throws( () => new RAN({ markov: [[0.9, 0.1], [0.2, 0.8]], ctmode: true }), /ctmode requires/ );
+		
+		ran.pipe( store => {
+			var G = store.pop().stats.mle_generator;
+			
+			[[-1, 1], [2, -2]].forEach( (row,fr) => row.forEach( (q,to) => 
+				ASSERT.ok( abs( G[fr][to] - q ) < 0.15 * abs(q), `mle rate ${fr}->${to}` ) ));
+			Log("R5.4 passed");
+		});
 		break;
 		
-	case "R2.1":  // config methods
+	case "R5.5":  // gillespie simulation of a reversible dimerization A + A <-> B
 		var ran = new RAN({
-			p: [.4],
-/*
-p->trP 2 [ [ 0.6, 0.4 ], [ 0.4, 0.6 ], rows: 2, columns: 2 ]
-R> { 'MRT det': 0.4 }
-R> { keys: 
-   { index: 'n',
-     state: 'u',
-     class: 'k',
-     x: 'x',
-     y: 'y',
-     z: 'z',
-     t: 't' },
-  states: 2,
-  syms: { '0': 0, '1': 1 },
-  xmap: [ 1, -1 ] }
-*/
-
-			//markov: [[0.1, 0.9], [0.1, 0.9]]
-/*
-MRT det= 0.09999999999999998
-R> { keys: 
-   { index: 'n',
-     state: 'u',
-     class: 'k',
-     x: 'x',
-     y: 'y',
-     z: 'z',
-     t: 't' },
-  states: 2,
-  syms: { '0': 0, '1': 1 },
-  xmap: [ 1, -1 ],
-  trProbs: [ [ 0.1, 0.9 ], [ 0.1, 0.9 ] ] }
-  */
-			//markov: { states: 3, 0: {1: 0.8, 2: 0.1}, 1: {0: 0.1} }
-/*
-R> { 'MRT det': 0 }
-R> Proposed process is not ergodic, thus no unique eq prob exist. Matrix {
-  _data: 
-   [ [ 0.09999999999999998, 0.8, 0.1 ],
-     [ 0.1, 0.9, 0 ],
-     [ 0, 0, 1 ],
-     rows: 3,
-     columns: 3 ],
-  _size: [ 3, 3 ],
-  _datatype: undefined }
-R> { keys: 
-   { index: 'n',
-     state: 'u',
-     class: 'k',
-     x: 'x',
-     y: 'y',
-     z: 'z',
-     t: 't' },
-  states: 3,
-  syms: { '0': 0, '1': 1, '2': 2 },
-  xmap: [ 0, 1, -1 ] }
-  */
+			gillespie: {
+				species: ["A", "B"],
+				init: { A: 100, B: 0 },
+				reactions: [
+					{ reactants: {A: 2}, products: {B: 1}, rate: 0.01 },
+					{ reactants: {B: 1}, products: {A: 2}, rate: 0.1 }
+				],
+				tau: 0		// try 0.1 for tau-leaping
+			},
+			seed: 1,
+			filter: function (str, ev) {
+				switch (ev.at) {
+					case "react":
+						ASSERT.equal( ev.counts[0] + 2*ev.counts[1], 100, "A + 2B is conserved" );
+						break;
+						
+					case "end":
+						str.push(ev);
+						break;
+				}
+			},
+			N: 50,
+			steps: 20
+		});
+		
+		ran.pipe( store => {
+			var 
+				stats = store.pop().stats.reactions,
+				A = stats.mean_counts[0], B = stats.mean_counts[1];
+			
+			ASSERT.ok( abs( A + 2*B - 100 ) < 1e-9 );
+			ASSERT.ok( abs( 0.01 * A*(A-1)/2 - 0.1 * B ) < 0.25 * 0.1 * B, "forward and reverse propensities balance" );
+			Log("R5.5 passed");
 		});
 		break;
-
-	case "R2.3":  // config methods
+		
+	case "R5.6":  // ancestral sampling of a bayes dag with cond prob recovery
 		var ran = new RAN({
-			emP: {
-				dims: [3,3],
-				weights: [1,1]
+			bayes: {
+				eqP: [0.5, 0.5],
+				dag: { 0: [], 1: [0], 2: [0,1] },
+				theta: {
+					0: { "": [0.7, 0.3] },
+					1: { "0": [0.9, 0.1], "1": [0.2, 0.8] },
+					2: { "0,0": [0.99, 0.01], "0,1": [0.5, 0.5], "1,0": [0.5, 0.5], "1,1": [0.01, 0.99] }
+				}
 			},
-			markov: { states: 9, 0: {1: 0.8, 2: 0.1}, 1: {0: 0.1}, "0,1": { "1,0": .4} }
+			seed: 1,
+			batch: 500,
+			filter: function (str, ev) {
+				if ( ev.at == "batch" ) str.push(ev);
+			},
+			N: 3,
+			steps: 1000
+		});
+		
+		ASSERT.throws( () => new RAN({ bayes: { dag: { 0: [1], 1: [0] } }, N: 2 }), /bayes dag has a cycle/ );
+		
+		var keys = [];
+		[0, 1].index( [], 12, key => keys.push(key) );
+		ASSERT.equal( keys.length, 144 );
+		ASSERT.equal( keys[143], "11,11" );
+		ASSERT.equal( [0, 1].index( [10, 2] ), "10,2" );
+		ASSERT.equal( parentIndex( "11,11", 12 ), 143 );
+		
+		ran.pipe( store => {
+			var theta = store.pop().eq_cond_probs;
+			
+			[
+				[0, "", [0.7, 0.3]], 
+				[1, "0", [0.9, 0.1]], [1, "1", [0.2, 0.8]], 
+				[2, "0,0", [0.99, 0.01]], [2, "1,1", [0.01, 0.99]]
+			].forEach( ([i, key, P]) => 
+				ASSERT.ok( abs( theta[i][key][0] - P[0] ) < 0.1, `cond probs of node ${i} given "${key}"` ) );
+			Log("R5.6 passed");
+		});
+		break;
+		
+	case "R5.7":  // structure learning of the R5.6 dag
+		var ran = new RAN({
+			bayes: {
+				eqP: [0.5, 0.5],
+				dag: { 0: [], 1: [0], 2: [0,1] },
+				theta: {
+					0: { "": [0.7, 0.3] },
+					1: { "0": [0.9, 0.1], "1": [0.2, 0.8] },
+					2: { "0,0": [0.99, 0.01], "0,1": [0.5, 0.5], "1,0": [0.5, 0.5], "1,1": [0.01, 0.99] }
+				}
+			},
+			structure: { score: "bic" },
+			seed: 1,
+			filter: function (str, ev) {
+				if ( ev.at == "end" ) str.push(ev);
+			},
+			N: 3,
+			steps: 2000
+		});
+		
+		ran.pipe( store => {
+			var 
+				stats = store.pop().stats,
+				dag = stats.learned_dag,
+				theta = stats.learned_cond_probs,
+				linked = (i,j) => dag[i].indexOf(j) >= 0 || dag[j].indexOf(i) >= 0,
+				empty = [0, 1, 2].reduce( (sum,i) => sum + familyScore( i, [], ran.cases, 2, ran.structure ), 0 );
+			
+			ASSERT.ok( topoOrder( dag, 3 ), "learned dag is acyclic" );
+			ASSERT.ok( linked(0,2) && linked(1,2), "strong dependencies are linked" );
+			ASSERT.ok( stats.dag_score > empty, "learned dag beats the empty dag" );
+			for (var i in theta) 
+				for (var key in theta[i]) 
+					ASSERT.ok( abs( theta[i][key][0] + theta[i][key][1] - 1 ) < 1e-9 );
+			
+			new RAN({ bayes: { dag: dag, theta: theta }, N: 3 });	// learned structure is a bayes config
+			Log("R5.7 passed");
 		});
-/*
-markov [ [ 0.09999999999999998, 0.8, 0.1, 0, 0, 0, 0, 0, 0 ],
-  [ 0.1, 0.9, 0, 0, 0, 0, 0, 0, 0 ],
-  [ 0, 0, 1, 0, 0, 0, 0, 0, 0 ],
-  [ 0, 0.4, 0, 0.6, 0, 0, 0, 0, 0 ],
-  [ 0, 0, 0, 0, 1, 0, 0, 0, 0 ],
-  [ 0, 0, 0, 0, 0, 1, 0, 0, 0 ],
-  [ 0, 0, 0, 0, 0, 0, 1, 0, 0 ],
-  [ 0, 0, 0, 0, 0, 0, 0, 1, 0 ],
-  [ 0, 0, 0, 0, 0, 0, 0, 0, 1 ],
-  rows: 9,
-  columns: 9 ]
-MRT det= 0
-Proposed process is not ergodic, thus no unique eq prob exist.  Specify one of the following eq state prs: P^inf -->  [ [ 0.07488979632860272,
-    0.6664427612064783,
-    0.25866744246492035,
-    0,
-    0,
-    0,
-    0,
-    0,
-    0 ],
-  [ 0.08330534515080978,
-    0.7413325575350811,
-    0.1753620973141107,
-    0,
-    0,
-    0,
-    0,
-    0,
-    0 ],
-  [ 0, 0, 1, 0, 0, 0, 0, 0, 0 ],
-  [ 0.08545738443447844,
-    0.7605083027756313,
-    0.15399775120549114,
-    0.00003656158440062975,
-    0,
-    0,
-    0,
-    0,
-    0 ],
-  [ 0, 0, 0, 0, 1, 0, 0, 0, 0 ],
-  [ 0, 0, 0, 0, 0, 1, 0, 0, 0 ],
-  [ 0, 0, 0, 0, 0, 0, 1, 0, 0 ],
-  [ 0, 0, 0, 0, 0, 0, 0, 1, 0 ],
-  [ 0, 0, 0, 0, 0, 0, 0, 0, 1 ] ]
-9 [ [ 0.09999999999999998, 0.8, 0.1, 0, 0, 0, 0, 0, 0 ],
-  [ 0.1, 0.9, 0, 0, 0, 0, 0, 0, 0 ],
-  [ 0, 0, 1, 0, 0, 0, 0, 0, 0 ],
-  [ 0, 0.4, 0, 0.6, 0, 0, 0, 0, 0 ],
-  [ 0, 0, 0, 0, 1, 0, 0, 0, 0 ],
-  [ 0, 0, 0, 0, 0, 1, 0, 0, 0 ],
-  [ 0, 0, 0, 0, 0, 0, 1, 0, 0 ],
-  [ 0, 0, 0, 0, 0, 0, 0, 1, 0 ],
-  [ 0, 0, 0, 0, 0, 0, 0, 0, 1 ],
-  rows: 9,
-  columns: 9 ] 1
-states [ 0, 1, -1, 2, -2, 3, -3, 4, -4 ]
-*/
 		break;
 		
-	case "R2.4":  // config methods
+	case "R5.8":  // wiener process with drift and first exits
 		var ran = new RAN({
-			emP: {
-				dims: [2,2,2],
-				weights: [1,1,1]
+			wiener: {
+				drift: 0.1,
+				diffusion: 2,
+				start: 0,
+				barriers: [-5, 5]
 			},
-			markov: "random"
+			seed: 1,
+			filter: function (str, ev) {
+				if ( ev.at == "end" ) str.push(ev);
+			},
+			N: 500,
+			steps: 200
+		});
+		
+		ran.pipe( store => {
+			var walk = store.pop().stats.walk;
+			
+			ASSERT.ok( abs( walk.mle_drift[0] - 0.1 ) < 3 * walk.drift_stderr[0], "drift mle" );
+			ASSERT.ok( abs( walk.mle_diffusion[0] - 2 ) < 3 * walk.diffusion_stderr[0], "diffusion mle" );
+			ASSERT.equal( walk.exit_fraction, 1 );
+			ASSERT.ok( abs( walk.exit_mean_time - walk.exit_analytic.mean_time ) < 0.1 * walk.exit_analytic.mean_time, "mean exit time" );
+			ASSERT.ok( abs( walk.exit_hi_fraction - walk.exit_analytic.hi_prob ) < 0.05, "hi exit prob" );
+			Log("R5.8 passed");
 		});
 		break;
 		
-	case "R3":  // sync pipe with various textbook examples, custom filtering with supervised learning validation
+	case "R5.9":  // exact ornstein-ulenbeck process and its mles
 		var ran = new RAN({
-			// these have same eqprs [.5, .5] (symmetry -> detailed balance --> eqP[k] = 1/K  eqpr)
-			//markov: [[.6, .4],[.4, .6]],
-/*
-{ stats: 
-   { mle_holding_times: [ [Array], [Array], rows: 2, columns: 2 ],
-     rel_error: 0.00230801881786998,
-     mle_em_probs: null,
-     mle_tr_probs: [ [Array], [Array], rows: 2, columns: 2 ],
-     tr_counts: [ [Array], [Array], rows: 2, columns: 2 ],
-     mean_count: 199.864,
-     coherence_time: 5.087382805828901,
-     coherence_intervals: 98.28236228402585,
-     correlation_0lag: 1,
-     mean_intensity: 0.399728,
-     degeneracy_param: 2.033569354208375,
-     snr: 8.116902388701156 },
-  t: 500,
-  at: 'end' }
-MLEs { holdTimes: '[[0,2.4961510304589924],[2.4806757386729417,0]]',
-  emProbs: 'null',
-  trProbs: '[[0.601384811290722,0.39861518870927803],[0.40071697978935383,0.5992830202106462]]' }
-*/
-			//markov: [[0.83177, 0.16822], [0.17152, 0.82848]],
-/*
-{ stats: 
-   { mle_holding_times: [ [Array], [Array], rows: 2, columns: 2 ],
-     rel_error: 0.0006768785070861166,
-     mle_em_probs: null,
-     mle_tr_probs: [ [Array], [Array], rows: 2, columns: 2 ],
-     tr_counts: [ [Array], [Array], rows: 2, columns: 2 ],
-     mean_count: 84.552,
-     coherence_time: 8.834248950434436,
-     coherence_intervals: 56.59790694209629,
-     correlation_0lag: 1,
-     mean_intensity: 0.169104,
-     degeneracy_param: 1.493906834514265,
-     snr: 5.822665342257233 },
-  t: 500,
-  at: 'end' }
-MLEs { holdTimes: '[[0,5.886354079058032],[5.810975609756097,0]]',
-  emProbs: 'null',
-  trProbs: '[[0.832333007235839,0.167666992764161],[0.169801047868115,0.830198952131885]]' }
-  */
-			//markov: [[.5, .5], [.5, .5]],
-/*
-{ stats: 
-   { mle_holding_times: [ [Array], [Array], rows: 2, columns: 2 ],
-     rel_error: 0.0006653832163736606,
-     mle_em_probs: null,
-     mle_tr_probs: [ [Array], [Array], rows: 2, columns: 2 ],
-     tr_counts: [ [Array], [Array], rows: 2, columns: 2 ],
-     mean_count: 249.94,
-     coherence_time: 3.705298163728831,
-     coherence_intervals: 134.94190694139024,
-     correlation_0lag: 1,
-     mean_intensity: 0.49988,
-     degeneracy_param: 1.8522044460847678,
-     snr: 9.361114481670487 },
-  t: 500,
-  at: 'end' }
-MLEs { holdTimes: '[[0,1.9922586601800394],[1.9936797628135707,0]]',
-  emProbs: 'null',
-  trProbs: '[[0.5003326916081868,0.4996673083918131],[0.49942810529955756,0.5005718947004424]]' }
-  */
-			//markov: [[0.1, 0.9], [0.9, 0.1]],
-
-			// textbook exs
-			markov: [[0.1, 0.9], [0.1, 0.9]],  // pg142 ex3
-/*  no emP
-{ stats: 
-   { mle_holding_times: [ [Array], [Array], rows: 2, columns: 2 ],
-     rel_error: 0.01865509761388287,
-     mle_em_probs: null,
-     mle_tr_probs: [ [Array], [Array], rows: 2, columns: 2 ],
-     tr_counts: [ [Array], [Array], rows: 2, columns: 2 ],
-     mean_count: 91.424,
-     coherence_time: 3.4536132327429123,
-     coherence_intervals: 144.7759104174188,
-     correlation_0lag: 1,
-     mean_intensity: 0.182848,
-     degeneracy_param: 0.6314862723805761,
-     snr: 7.485803061566579 },
-  t: 500,
-  at: 'end' }
-MLEs { holdTimes: '[[0,1.1008115157955753],[9.660927669121593,0]]',
-  emProbs: 'null',
-  trProbs: '[[0.10186550976138829,0.8981344902386117],[0.10127438873795999,0.89872561126204]]' }
-*/
+			ornstein: {
+				theta: 0.5,
+				mu: 2,
+				sigma: 1,
+				start: 0
+			},
+			seed: 1,
+			batch: 100,
+			filter: function (str, ev) {
+				if ( ev.at == "end" ) str.push(ev);
+			},
+			N: 50,
+			steps: 200
+		});
+		
+		ran.pipe( store => {
+			var fit = store.pop().stats.ou_fit[0];
 			
-			//markov: [[1/2, 1/3, 1/6], [3/4, 0, 1/4], [0,1,0]],  // pg142 ex2  eqpr [.5, .333, .1666]
-			//markov: [[1,0,0], [1/4, 1/2, 1/4], [0,0,1]],  // pg143 ex8  no eqprs
-
-			// these have different eqprs
-			//markov: [[0.9,0.1],[0.1,0.9]],
-			//markov: [[0.1, 0.9], [0.1, 0.9]],  // bernoulli scheme has identical rows
-			//markov: [[0.1, 0.9], [0.3, 0.7]],
-			//markov: [[0.1, 0.9], [0.4, 0.6]],
-
-			// textbook exs 
-			//markov: [[0,1],[1,0]],  // pg433 ex16  regular (all states reachable) absorbing/non on even/odd steps non-regular non-absorbing but ergodic so --> eqpr [.5, .5]
-			//markov: [[0.5,0.25,0.25],[0.5,0,0.5],[0.25,0.25,0.5]],  // pg406 ex1  regular (after 2 steps) thus ergodic so eqpr [.4, .2, .4]
-			//markov: [[0,1,0,0,0], [0.25,0,0.75,0,0], [0,0.5,0,0.5,0], [0,0,0.75,0,0.25], [0,0,0,1,0]],  // pg433 ex17  non-absorbing non-regular but ergodic so eqpr [.0625, .25, .375]
-			//markov: [[1,0,0,0,0],[0.5,0,0.5,0,0],[0,0.5,0,0.5,0],[0,0,0.5,0,0.5],[0,0,0,0,1]],    // 2 absorbing states; non-ergodic so 3 eqpr = [.75 ... .25], [.5 ... .5], [.25 ...  .75]
-
-			//markov: [[1-.2, .1, .1], [0, 1-.1, .1], [.1, .1, 1-.2]],
-			//markov: [[1-.2, .1, .1], [0.4, 1-.5, .1], [.1, .1, 1-.2]],
-			//markov: [[1-.6, .2, .2,.2], [.1, 1-.3, .1,.1], [.1, .1, 1-.4,.2],[.1,.1,1-.8,.6]],  // non-ergodic
+			ASSERT.ok( abs( fit.theta - 0.5 ) < 3 * fit.theta_stderr, "theta mle" );
+			ASSERT.ok( abs( fit.mu - 2 ) < 3 * fit.mu_stderr, "mu mle" );
+			ASSERT.ok( abs( fit.sigma - 1 ) < 3 * fit.sigma_stderr, "sigma mle" );
+		});
+		
+		var coarse = new RAN({	// exact transitions are unbiased at any sample time
+			ornstein: { theta: 0.5, mu: 2, sigma: 1 },
+			seed: 1,
+			dt: 4,
+			filter: function (str, ev) {
+				if ( ev.at == "end" ) str.push(ev);
+			},
+			N: 50,
+			steps: 200
+		});
+		
+		coarse.pipe( store => {
+			var fit = store.pop().stats.ou_fit[0];
 			
-			/*
-			emP: {
-				mu: [ [1], [1.1] ],
-				sigma: [ [[1]], [[2]] ]
-			}, */
-/*
- stats: 
-   { mle_holding_times: [ [Array], [Array], rows: 2, columns: 2 ],
-     rel_error: 0.015151515151515249,
-     mle_em_probs: [ [Object], [Object] ],
-     mle_tr_probs: [ [Array], [Array], rows: 2, columns: 2 ],
-     tr_counts: [ [Array], [Array], rows: 2, columns: 2 ],
-     mean_count: 90.444,
-     coherence_time: 3.4312900617373834,
-     coherence_intervals: 145.7177886461841,
-     correlation_0lag: 1,
-     mean_intensity: 0.180888,
-     degeneracy_param: 0.6206791966875518,
-     snr: 7.470356916777998 },
-  t: 500,
-  at: 'end' }
-MLEs { holdTimes: '[[0,1.0968340824701974],[9.798737174427782,0]]',
-  emProbs: '[
-  	{"weight":0.5444315148931079,"mu":[1.0139285640388083],"sigma":[[1.020168448272447]],"_gaussian":
-  		{"sigma":[[1.020168448272447]],"mu":[1.0139285640388083],"k":1,"_sinv":[[0.9802302763758278]],"_coeff":0.3949791055911031}},
+			ASSERT.ok( abs( fit.theta - 0.5 ) < 3 * fit.theta_stderr, "theta mle at dt=4" );
+			Log("R5.9 passed");
+		});
+		break;
 		
-	{"weight":0.4555684851068921,"mu":[1.071684787418599],"sigma":[[2.070246038073367]],"_gaussian":
-		{"sigma":[[2.070246038073367]],"mu":[1.071684787418599],"k":1,"_sinv":[[0.48303437447011366]],"_coeff":0.2772675754216858}}]',
-  trProbs: '[[0.09848484848484848,0.9015151515151515],[0.09996252391565909,0.9000374760843409]]' }
-*/
-
-			batch: 50,  // supervised learning every 50 steps
+	case "R5.10":  // gauss process from the KL expansion of an exponential kernel
+		var 
+			kl = null,
+			ran = new RAN({
+				gauss: {
+					kernel: "exp",
+					Tc: 5,
+					T: 50,
+					mean: 100
+				},
+				seed: 1,
+				filter: function (str, ev) {
+					if ( ev.at == "config" ) kl = ev.kl_expansion;
+				},
+				N: 100,
+				steps: 50
+			});
+		
+		ran.pipe( store => {
+			var 
+				{ values, vectors, grid, dim, ref } = kl,
+				dot = (u,v) => u.reduce( (sum,x,i) => sum + x * v[i] * grid, 0 );
 			
-			filter: function (str, ev) {  
-				switch (ev.at) {
-					case "config":
-						//Log(ev);
-						str.push(ev);
-						break;
-
-					case "batch":
-						//Log(ev.s,ev.rel_txpr_error);
-						Log(ev);
-						break;
-
-					case "end":
-						Log(ev);
-						var
-							A = ev.stats.mle_tr_probs,
-							B = ev.stats.mle_em_probs,
-							H = ev.stats.mle_holding_times;
-						
-						Log("MLEs", {
-							holdTimes: JSON.stringify(H),
-							emProbs: JSON.stringify(B),
-							trProbs: JSON.stringify(A)
-						});
-							
-						str.push(ev);
-						break;
-				}
+			ASSERT.equal( dim, 50 );
+			ASSERT.ok( values.every( (val,n) => !n || val <= values[n-1] ), "pc values descending" );
+			ASSERT.ok( ref * 5 / grid >= 0.99 * dim - 1e-6, "retained energy" );
+			vectors.forEach( (u,m) => vectors.forEach( (v,n) => 
+				ASSERT.ok( abs( dot(u,v) - ( (m == n) ? 1 : 0 ) ) < 1e-6, "orthonormal eigen functions" ) ) );
+			
+			new RAN({	// long runs sample the kernel on a capped grid
+				gauss: { kernel: "exp", Tc: 5, modes: 10 },
+				filter: function (str, ev) {
+					if ( ev.at == "config" ) kl = ev.kl_expansion;
+				},
+				steps: 5000
+			}).onConfig();
+			
+			ASSERT.equal( kl.dim, 256 );
+			ASSERT.equal( kl.grid, 5000 / 256 );
+			ASSERT.equal( kl.values.length, 10 );
+			Log("R5.10 passed");
+		});
+		break;
+		
+	case "R5.11":  // inhomogeneous poisson process by thinning and its estimated intensity profile
+		var ran = new RAN({
+			poisson: {
+				rate: t => 2 + sin( 2 * PI * t / 50 ),
+				max: 3,
+				estimator: "histogram",
+				bins: 10
 			},
-
-			N: 500,
-			steps: 500
+			seed: 1,
+			filter: function (str, ev) {
+				if ( ev.at == "end" ) str.push(ev);
+			},
+			N: 200,
+			steps: 50
 		});
 		
-		ran.pipe( function (store) {
-			//Log(store);
+		ASSERT.throws( () => new RAN({ poisson: { rate: t => 2 } }), /requires a positive max/ );
+		
+		ran.pipe( store => {
+			var est = store.pop().stats.intensity;
+			
+			ASSERT.ok( abs( est.mean_rate - 2 ) < 0.05, "mean rate over whole periods" );
+			est.times.forEach( (t,k) => 
+				ASSERT.ok( abs( est.rates[k] - 2 - sin( 2 * PI * t / 50 ) ) < 0.25, `intensity at t=${t}` ) );
+			Log("R5.11 passed");
+		});
+		break;
+		
+	case "R5.12":  // second-order markov chain and its fitted orders
+		var 
+			markov = {
+				states: 2,
+				order: 2,
+				"0,0": {1: 0.9},
+				"0,1": {0: 0.1},
+				"1,0": {1: 0.7},
+				"1,1": {0: 0.8}
+			},
+			ran = new RAN({
+				markov: markov,
+				order: 3,
+				seed: 1,
+				filter: function (str, ev) {
+					if ( ev.at == "end" ) str.push(ev);
+				},
+				N: 50,
+				steps: 200
+			});
+		
+		ASSERT.ok( markov.states == 2 && markov.order == 2, "the config keeps its states and order" );
+		ASSERT.deepEqual( new RAN({ markov: markov }).markov.slice(), ran.markov.slice(), "and configures the same chain again" );
+		
+		ran.pipe( store => {
+			var 
+				fit = store.pop().stats.markov_orders,
+				trP = { "0,0": 0.1, "0,1": 0.1, "1,0": 0.3, "1,1": 0.8 };	// prob of a to-state 0
+			
+			ASSERT.deepEqual( fit.fits.map( fit => fit.order ), [0, 1, 2, 3] );
+			ASSERT.equal( fit.best_order, 2, "bic selects the generating order" );
+			for (var key in trP) 
+				ASSERT.ok( abs( fit.best_tr_probs[key][0] - trP[key] ) < 0.05, `trans probs from "${key}"` );
+			Log("R5.12 passed");
+		});
+		break;
+		
+	case "R5.13":  // semi-markov process with gamma holds and their fitted distributions
+		var ran = new RAN({
+			markov: [[0, 1], [1, 0]],
+			semi: {
+				holds: [ {type: "gamma", shape: 4, scale: 0.5}, {type: "weibull", shape: 2, scale: 3} ]
+			},
+			seed: 1,
+			filter: function (str, ev) {
+				if ( ev.at == "end" ) str.push(ev);
+			},
+			N: 50,
+			steps: 200
+		});
+		
+		ran.pipe( store => {
+			var fits = store.pop().stats.hold_fits.states;
+			
+			[ {type: "gamma", shape: 4, scale: 0.5}, {type: "weibull", shape: 2, scale: 3} ].forEach( (hold,k) => {
+				var fit = fits[k].fits[ fits[k].best ];
+				
+				ASSERT.equal( fits[k].best, hold.type, `state ${k} hold distribution` );
+				ASSERT.ok( abs( fit.shape / hold.shape - 1 ) < 0.1 && abs( fit.scale / hold.scale - 1 ) < 0.1, `state ${k} hold params` );
+			});
+			ASSERT.throws( () => new RAN({ semi: { holds: { type: "exp", mean: 1 } }, K: 2 }), /requires a markov or generator jump chain/ );
+			Log("R5.13 passed");
+		});
+		break;
+		
+	case "R5.14":  // dirichlet posterior and bootstrap intervals of the markov mles
+		var 
+			ran = new RAN({
+				markov: [[0.9, 0.1], [0.3, 0.7]],
+				posterior: {
+					level: 0.9,
+					bootstrap: 100,
+					predictive: 2
+				},
+				seed: 1,
+				filter: function (str, ev) {
+					if ( ev.at == "end" ) str.push(ev);
+				},
+				N: 20,
+				steps: 200
+			}),
+			plain = new RAN({	// same process without the posterior
+				markov: [[0.9, 0.1], [0.3, 0.7]],
+				seed: 1,
+				filter: function (str, ev) {
+					if ( ev.at == "end" ) str.push(ev);
+				},
+				N: 20,
+				steps: 200
+			});
+		
+		plain.pipe( plainStore => ran.pipe( store => {
+			var 
+				stats = store.pop().stats,
+				post = stats.posterior,
+				within = (est, x, pick) => pick( est.lo ) <= x && x <= pick( est.hi );	// x in the credible interval of an est element
+			
+			ASSERT.deepEqual( stats.tr_counts, plainStore.pop().stats.tr_counts, "posterior draws leave the process unchanged" );
+			ASSERT.ok( within( post.dirichlet.tr_probs, 0.9, P => P[0][0] ) && within( post.dirichlet.tr_probs, 0.7, P => P[1][1] ), "trans probs intervals" );
+			ASSERT.ok( within( post.dirichlet.eq_probs, 0.75, P => P[0] ) && within( post.bootstrap.eq_probs, 0.75, P => P[0] ), "equlib prob intervals" );
+			ASSERT.ok( abs( post.mle_hold_times[0] / 10 - 1 ) < 0.15 && abs( post.mle_hold_times[1] / (1/0.3) - 1 ) < 0.15, "mean hold mles" );
+			post.mle_hold_times.forEach( (h,k) => ASSERT.ok( within( post.dirichlet.hold_times, h, H => H[k] ), `hold time ${k} interval` ) );
+			ASSERT.equal( post.tr_samples.length, 2 );
+			
+			var injected = () => {	// posterior of a run on an injected rng without a seed
+				var ran = new RAN({
+					markov: [[0.9, 0.1], [0.3, 0.7]],
+					posterior: { bootstrap: 20 },
+					rng: prng( "injected" ),
+					filter: function (str, ev) {
+						if ( ev.at == "end" ) str.push(ev);
+					},
+					N: 20,
+					steps: 100
+				});
+				
+				ran.pipe( store => store );
+				return JSON.stringify( ran.store.pop().stats.posterior );
+			};
+			
+			ASSERT.equal( injected(), injected(), "posterior draws follow an injected rng" );
+			Log("R5.14 passed");
+		}) );
+		break;
+		
+	case "R5.15":  // goodness, markov, stationarity and homogeneity tests of the trans counts
+		var ran = new RAN({
+			markov: [[0.9, 0.1], [0.3, 0.7]],
+			tests: {
+				stat: "g",
+				markov: [[0.8, 0.2], [0.3, 0.7]]
+			},
+			batch: 50,
+			seed: 1,
+			filter: function (str, ev) {
+				if ( ev.at == "test" ) str.push(ev);
+			},
+			N: 20,
+			steps: 200
+		});
+		
+		ran.pipe( store => {
+			var tests = {};
+			
+			store.forEach( ev => tests[ ev.test ] = ev );
+			ASSERT.deepEqual( Object.keys(tests), ["goodness", "markov", "stationarity", "homogeneity"] );
+			ASSERT.ok( tests.goodness.p_value < 0.001, "rejects the wrong hypothesised trans probs" );
+			[ "markov", "stationarity", "homogeneity" ].forEach( test => 
+				ASSERT.ok( tests[test].p_value > 0.01, `accepts ${test}` ) );
+			ASSERT.equal( tests.stationarity.df, 4 * 2, "one (K-1)K stratum per non-empty batch after the first" );
+			Log("R5.15 passed");
 		});
 		break;
 		
-	case "R3.1":  // gen process for R3.2 with async pipe to stdout
+	case "R5.16":  // welch psd of a markov process against its analytic psd
 		var ran = new RAN({
-
-			markov: [[0.1, 0.9], [0.1, 0.9]],  // pg142 ex3
-
-			batch: 800,  // supervised learning every 50 steps
-			
-			N: 1000, 
-			filter: function (str,ev) {
-				switch (ev.at) {
-					case "batch":
-					case "config":
-					case "end":
-						Log(JSON.stringify(ev));
-				}
+			markov: [[0.9, 0.1], [0.3, 0.7]],
+			spectrum: {
+				segment: 32
 			},
-			steps: 800  
+			seed: 1,
+			filter: function (str, ev) {
+				if ( ev.at == "config" || ev.at == "end" ) str.push(ev);
+			},
+			N: 50,
+			steps: 400
 		});
-		ran.pipe(process.stdout);
-/*  
-stats : 
-{"mle_holding_times":[[0,1.1092640860692102],[9.909690370969315,0]],"rel_error":0.00471644740291818,"mle_em_probs":null,"mle_tr_probs":[[0.10424480266262637,0.8957551973373736],[0.09969867042494697,0.900301329575053]],"tr_counts":[[8394,72128],[71731,647747]],"mean_count":143.859,"coherence_time":5.574154300194505,"coherence_intervals":143.519529047139,"correlation_0lag":1,"mean_intensity":0.17982375,"degeneracy_param":1.0023653293396015,"snr":8.476115384436026}}		
-*/
 		
-		break;		
+		ran.pipe( store => {
+			var 
+				spec = store.pop().stats.spectrum,
+				config = store.find( ev => ev.at == "config" );
+			
+			ASSERT.equal( config.nyquist, 0.5, "nyquist 1/(2 dt) reported at configuration" );
+			ASSERT.equal( spec.nyquist, config.nyquist, "bounds the psd frequency axis" );
+			ASSERT.equal( spec.freqs.length, 32/2 + 1 );
+			ASSERT.equal( spec.freqs[ spec.freqs.length-1 ], 0.5 );
+			spec.freqs.forEach( (f,k) => 
+				ASSERT.ok( abs( spec.psd[k] / spec.markov_psd[k] - 1 ) < 0.25, `welch psd at ${f}` ) );
+			Log("R5.16 passed");
+		});
+		break;
 		
-	case "R3.2":  // gen process for R3.3 using async pipe to stdout
+	case "R5.17":  // structural classification of a reducible markov chain
 		var ran = new RAN({
-
-			markov: [[0.1, 0.9], [0.1, 0.9]],  // pg142 ex3
-
-			//batch: 50,  // supervised learning every 50 steps
-			
-			N: 10,
-			//keys: {state:"u", index: "n"},
-			filter: function (str,ev) {
-				switch (ev.at) {
-					case "jump":
-						Log(ev);
-						break;
-					default:
-				}
+			markov: [[1,0,0,0,0],[0.5,0,0.5,0,0],[0,0.5,0,0.5,0],[0,0,0.5,0,0.5],[0,0,0,0,1]],
+			seed: 1,
+			filter: function (str, ev) {
+				if ( ev.at == "config" ) str.push(ev);
 			},
+			N: 10,
 			steps: 20
 		});
-		ran.pipe(process.stdout);
-		/* copy stdout evs to R3.3 evs */
-		break;		
 		
-	case "R3.3":  // supervised learning with R3.2 evs using sync pipe to store
+		ran.pipe( store => {
+			var chain = store.find( ev => ev.at == "config" ).chain_classes;
+			
+			ASSERT.deepEqual( chain.classes.map( C => [C.states, C.closed, C.period] ), [
+				[[0], true, 1], [[1,2,3], false, 2], [[4], true, 1] ] );
+			ASSERT.deepEqual( chain.transient_states, [1,2,3] );
+			ASSERT.deepEqual( chain.classes[0].recur_times, [1, null, null, null, null] );
+			ASSERT.deepEqual( chain.classes[2].recur_times, [null, null, null, null, 1] );
+			ASSERT.ok( !chain.irreducible && !chain.aperiodic && !chain.regular );
+			ASSERT.deepEqual( ran.markov.eqP, [0, 0, 0, 0, 0], "no unique equlib probs" );
+			
+			var H = meanRecurTimes( ran.markov );	// per closed class times with null markers elsewhere
+			
+			ASSERT.equal( H[0][0], 1 );
+			ASSERT.equal( H[4][4], 1 );
+			ASSERT.ok( H[1][1] === null && H[0][4] === null && H[2][0] === null );
+		});
+		
+		ASSERT.deepEqual( meanRecurTimes( [[0,1],[1,0]] ), [[2,1],[1,2]] );
+		ASSERT.deepEqual( meanRecurTimes( [[0.5,0.5],[0,1]] ), [[null,2],[null,1]] );	// transient state 0
+		Log("R5.17 passed");
+		break;
+		
+	case "R5.18":  // analytic mixing and empirical convergence of a markov process
 		var 
-			evs = [
-{ at: 'jump', t: 1, s: 1, index: 3, state: 0, hold: 0, obs: null },
-{ at: 'jump', t: 1, s: 1, index: 5, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 1, s: 1, index: 6, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 1, s: 1, index: 7, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 1, s: 1, index: 8, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 1, s: 1, index: 9, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 2, s: 2, index: 2, state: 0, hold: 0, obs: null },
-{ at: 'jump', t: 2, s: 2, index: 3, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 3, s: 3, index: 2, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 3, s: 3, index: 6, state: 0, hold: 0, obs: null },
-{ at: 'jump', t: 4, s: 4, index: 6, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 5, s: 5, index: 1, state: 0, hold: 0, obs: null },
-{ at: 'jump', t: 6, s: 6, index: 1, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 8, s: 8, index: 9, state: 0, hold: 0, obs: null },
-{ at: 'jump', t: 9, s: 9, index: 3, state: 0, hold: 0, obs: null },
-{ at: 'jump', t: 9, s: 9, index: 8, state: 0, hold: 0, obs: null },
-{ at: 'jump', t: 9, s: 9, index: 9, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 10, s: 10, index: 3, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 10, s: 10, index: 8, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 11, s: 11, index: 4, state: 0, hold: 0, obs: null },
-{ at: 'jump', t: 13, s: 13, index: 4, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 13, s: 13, index: 8, state: 0, hold: 0, obs: null },
-{ at: 'jump', t: 14, s: 14, index: 8, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 15, s: 15, index: 0, state: 0, hold: 0, obs: null },
-{ at: 'jump', t: 16, s: 16, index: 0, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 16, s: 16, index: 1, state: 0, hold: 0, obs: null },
-{ at: 'jump', t: 16, s: 16, index: 3, state: 0, hold: 0, obs: null },
-{ at: 'jump', t: 17, s: 17, index: 3, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 18, s: 18, index: 1, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 18, s: 18, index: 3, state: 0, hold: 0, obs: null },
-{ at: 'jump', t: 18, s: 18, index: 6, state: 0, hold: 0, obs: null },
-{ at: 'jump', t: 18, s: 18, index: 9, state: 0, hold: 0, obs: null },
-{ at: 'jump', t: 19, s: 19, index: 3, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 19, s: 19, index: 6, state: 1, hold: 0, obs: null },
-{ at: 'jump', t: 19, s: 19, index: 9, state: 1, hold: 0, obs: null }
-				],
+			conv = null,
+			batches = [],
 			ran = new RAN({
-
-				learn: function (supercb) {
-					evs.$( "group", (evs) => {
-						Log( evs ? ` supervising ${evs.length} events` : " supervised" );
-						
-						if (evs) // feed supervisor
-							supercb(evs);
-
-						else // terminate supervisor
-							supercb(null);
-					});
-				},			
-
-				batch: 50,  // supervised learning every 50 steps
-
-				filter: function (str, ev) {  
+				markov: [[0.5,0.25,0.25],[0.5,0,0.5],[0.25,0.25,0.5]],
+				convergence: {
+					eps: 0.1,
+					powers: [2, 8]
+				},
+				batch: 20,
+				seed: 1,
+				filter: function (str, ev) {
 					switch (ev.at) {
 						case "config":
-							Log(ev);
-							str.push(ev);
+							conv = ev.convergence;
 							break;
-
+							
 						case "batch":
-							//Log(ev.s,ev.rel_txpr_error);
-							Log(ev);
-							break;
-
-						case "end":
-							//Log(ev);
-							str.push(ev);
+							batches.push( ev.convergence );
 							break;
 					}
 				},
-
-				markov: {},  
-				//keys: {state:"u", index: "n"},
-				K: 2,  // assume 2-state process
-				N: 50  // assume 50 members in ensemble
+				N: 500,
+				steps: 40
 			});
-	
-		ran.pipe( function (store) {
-			Log(store);
+		
+		ran.pipe( store => {
+			var 
+				re = conv.eigen_values.map( lambda => lambda.re ),
+				P8 = conv.tr_powers[1].probs;
+			
+			[1, 0.25, -0.25].forEach( (lambda,k) => ASSERT.ok( abs( abs( re[k] ) - abs( lambda ) ) < 1e-9, "eigen values" ) );
+			ASSERT.ok( abs( conv.spectral_gap - 0.75 ) < 1e-9 );
+			ASSERT.ok( conv.reversible );
+			P8.forEach( row => row.forEach( (p,to) => ASSERT.ok( abs( p - [0.4, 0.2, 0.4][to] ) < 1e-4, "P^8 near equlib" ) ) );
+			ASSERT.ok( conv.mix_time >= conv.mix_bounds[0] && conv.mix_time <= conv.mix_bounds[1], "mix time within its bounds" );
+			ASSERT.ok( batches.length >= 2 && batches.every( b => typeof b.tv == "number" && !( "tv_curve" in b ) ), "one tv point per batch" );
+			ASSERT.ok( batches[batches.length-1].burn_in > 0 );
+			
+			var cyc = eigenValues( [[0.1, 0.9, 0], [0, 0.1, 0.9], [0.9, 0, 0.1]] );	// non-reversible cycle with complex roots
+			
+			ASSERT.ok( abs( cyc[0].re - 1 ) < 1e-9 && abs( cyc[0].im ) < 1e-9, "unit root" );
+			ASSERT.ok( abs( cyc[1].im + cyc[2].im ) < 1e-9 && abs( abs( cyc[1].im ) - 0.9 * sqrt(3) / 2 ) < 1e-9, "conjugate pair" );
+			ASSERT.ok( abs( cyc[1].re + 0.35 ) < 1e-9, "real part of the pair" );
+			Log("R5.18 passed");
+		});
+		break;
+		
+	case "R5.19":  // absorption time distributions of a gamblers ruin against their ensemble histograms
+		var ran = new RAN({
+			markov: [[1,0,0,0,0],[0.5,0,0.5,0,0],[0,0.5,0,0.5,0],[0,0,0.5,0,0.5],[0,0,0,0,1]],
+			hitting: {
+				steps: 30
+			},
+			seed: 1,
+			filter: function (str, ev) {
+				if ( ev.at == "end" ) str.push(ev);
+			},
+			N: 1000,
+			steps: 40
+		});
+		
+		ran.pipe( store => {
+			var hit = store.pop().stats.hit_times;
+			
+			hit.analytic.starts.forEach( (start,i) => {	// gamblers ruin from 1, 2, 3 of 4
+				ASSERT.ok( abs( start.mean - [3, 4, 3][i] ) < 1e-9 && abs( start.variance - 8 ) < 1e-9, `start ${start.start} moments` );
+				ASSERT.ok( abs( start.hit_probs[0] - [0.75, 0.5, 0.25][i] ) < 1e-9, `start ${start.start} ruin prob` );
+				ASSERT.ok( abs( start.pmf.sum() - 1 ) < 1e-3, `start ${start.start} pmf (to 30 steps)` );
+			});
+			hit.empirical.forEach( (emp,i) => 
+				ASSERT.ok( abs( emp.mean - hit.analytic.starts[i].mean ) < 3 * sqrt( 8 / emp.members ), `start ${emp.start} ensemble mean` ) );
+		});
+		
+		var geo = hitTimes( [[0.5, 0.5], [0.5, 0.5]], [1], 60, [0.5] ).starts[0];	// non-absorbing target hit in geometric(1/2) steps
+		
+		ASSERT.ok( abs( geo.mean - 2 ) < 1e-9 && abs( geo.variance - 2 ) < 1e-9 );
+		ASSERT.deepEqual( geo.quantiles, [1] );
+		Log("R5.19 passed");
+		break;
+		
+	case "R5.20":  // empirical first passage and recurrence times against their analytic means
+		var ran = new RAN({
+			markov: [[0.9, 0.1], [0.3, 0.7]],
+			passages: true,
+			seed: 1,
+			filter: function (str, ev) {
+				if ( ev.at == "config" || ev.at == "end" ) str.push(ev);
+			},
+			N: 50,
+			steps: 400
+		});
+		
+		ran.pipe( store => {
+			var 
+				stats = store.pop().stats,
+				config = store.find( ev => ev.at == "config" ),
+				H = [[4/3, 10], [10/3, 4]];	// analytic first passage and recurrence times
+			
+			ASSERT.strictEqual( config.mean_recur_times, ran.NR, "config reports NR as before" );
+			H.forEach( (row,fr) => row.forEach( (h,to) => {
+				ASSERT.ok( abs( config.analytic_recur_times[fr][to] - h ) < 1e-9 );
+				ASSERT.ok( abs( stats.analytic_recur_times[fr][to] - h ) < 1e-9 );
+				ASSERT.ok( abs( stats.recur_times.mean[fr][to] / h - 1 ) < 0.1, `empirical ${fr} to ${to} passage time` );
+				ASSERT.equal( stats.recur_times.hist[fr][to].sum(), stats.recur_times.samples[fr][to] );
+			}) );
+			Log("R5.20 passed");
+		});
+		break;
+		
+	case "R5.21":  // delta-encoded trajectory snapshots and their decoded state matrix
+		var ran = new RAN({
+			markov: [[0.9, 0.1], [0.3, 0.7]],
+			trajectory: {
+				stride: 1,
+				encoding: "delta"
+			},
+			seed: 1,
+			filter: function (str, ev) {
+				switch (ev.at) {
+					case "trajectory":
+					case "end":
+						str.push(ev);
+				}
+			},
+			N: 1000,
+			steps: 50
+		});
+		
+		ran.pipe( store => {
+			var 
+				X = RAN.decodeTrajectory( store ),
+				sizes = store.filter( ev => ev.at == "trajectory" ).map( ev => ev.data.length );
+			
+			ASSERT.equal( X.length, 1000 );
+			ASSERT.equal( X[0].length, sizes.length );
+			ASSERT.ok( X.every( (Xn,n) => Xn[Xn.length-1] == ran.U[n] ), "decoded final states" );
+			ASSERT.ok( sizes.slice(1).every( size => size < 2 * 1000 / 4 ), "deltas are compact" );
+		});
+		
+		var 
+			snaps = [],
+			walk = new RAN({	// stateless values survive a json round trip
+				wiener: {},
+				trajectory: { stride: 1 },
+				seed: 1,
+				filter: function (str, ev) {
+					if ( ev.at == "trajectory" ) snaps.push( JSON.parse( JSON.stringify(ev) ) );
+				},
+				N: 5,
+				steps: 10
+			});
+		
+		walk.pipe( store => {
+			var X = RAN.decodeTrajectory( snaps );
+			
+			ASSERT.ok( snaps.every( ev => ev.encoding == "float" && Array.isArray( ev.data ) ) );
+			ASSERT.deepEqual( X.map( Xn => Xn[Xn.length-1] ), walk.U );
+			Log("R5.21 passed");
 		});
-		/*
- 1 '00000111110000000000000000000000000000000000000000'
- 2 '00010111110000000000000000000000000000000000000000'
- 3 '00110101110000000000000000000000000000000000000000'
- 4 '00110111110000000000000000000000000000000000000000'
- 5 '00110111110000000000000000000000000000000000000000'
- 6 '01110111110000000000000000000000000000000000000000'
- 8 '01110111100000000000000000000000000000000000000000'
- 9 '01100111010000000000000000000000000000000000000000'
-10 '01110111110000000000000000000000000000000000000000'
-11 '01110111110000000000000000000000000000000000000000'
-13 '01111111010000000000000000000000000000000000000000'
-14 '01111111110000000000000000000000000000000000000000'
-15 '01111111110000000000000000000000000000000000000000'
-16 '10101111110000000000000000000000000000000000000000'
-17 '10111111110000000000000000000000000000000000000000'
-18 '11101101100000000000000000000000000000000000000000'
-19 '11111111110000000000000000000000000000000000000000'
-*/
-		break;	
-				
-	case "R4.1":  // observation permutations
-		Log(perms([],[2,6,4],[]));
 		break;
+		
+	case "R5.22":  // learn a markov process from the jump events file of a previous run
+		var 
+			path = "/tmp/randpr_R5.22.ndjson",
+			gen = new RAN({
+				markov: [[0.9, 0.1], [0.3, 0.7]],
+				seed: 1,
+				filter: function (str, ev) {
+					if ( ev.at == "jump" ) str.push(ev);
+				},
+				N: 50,
+				steps: 200
+			});
+		
+		gen.pipe( store => {
+			var t = store[store.length-1].t + 1;	// rows after the run with an unknown and a missing state
+			
+			require("fs").writeFileSync( path, store.map( ev => JSON.stringify(ev) ).join("\n") + 
+				`\nnot json\n{"at":"jump","t":${t},"index":0,"state":7}\n{"at":"jump","t":${t},"index":1}\n` );
+			
+			var 
+				errors = [],
+				ran = new RAN({
+					learn: { path: path, at: "jump" },
+					markov: { states: 2 },
+					batch: 50,
+					keys: { index: "index", state: "state" },
+					N: 50,
+					filter: function (str, ev) {
+						switch (ev.at) {
+							case "error":
+								errors.push(ev.error);
+								break;
+								
+							case "end":
+								str.push(ev);
+								break;
+						}
+					}
+				}),
+				groups = 0,
+				pass = () => {	// count the time groups of another pass over the file
+					var count = 0;
 					
-	case "R4.2":  // observation permutations
-		Log(perms([],[2,6,4],[], function (idx,max) {
-			return idx / max;
-		}));
+					ran.learn( evs => { if ( evs ) count++; } );
+					return count;
+				};
+			
+			ran.pipe( store => {
+				var A = store.pop().stats.mle_tr_probs;
+				
+				ASSERT.equal( errors.length, 3 );
+				ASSERT.ok( errors.every( err => /^line \d+: /.test( err ) ), "malformed lines are reported with their numbers" );
+				ASSERT.ok( /unknown state state=7$/.test( errors[1] ) && /unknown state state=undefined$/.test( errors[2] ), "unknown and missing states" );
+				ASSERT.ok( abs( A[0][1] - 0.1 ) < 0.03 && abs( A[1][0] - 0.3 ) < 0.05, "learned trans probs" );
+				
+				groups = pass();
+				ASSERT.ok( groups > 0 );
+				ASSERT.equal( pass(), groups, "each pass starts afresh" );
+				ASSERT.deepEqual( errors.slice(6), errors.slice(3,6), "with its own line numbers" );
+				FS.unlinkSync( path );
+				Log("R5.22 passed");
+			});
+		});
+		break;
+		
+	case "R5.23":  // command line generate and analyze runs write parseable json to stdout
+		var 
+			run = args => require("child_process").execFileSync( process.execPath, [__filename].concat( args ), { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"], maxBuffer: 1 << 26 } ),
+			lines = run([ "generate", "--markov", "[[0.9,0.1],[0.3,0.7]]", "--N", "5", "--steps", "20", "--batch", "10", "--seed", "1" ])
+				.split("\n").filter( line => line ),
+			evs = lines.map( line => JSON.parse( line ) ),
+			analysis = run([ "analyze", "--markov", "[[1,0,0,0],[0.5,0,0.5,0],[0,0.5,0,0.5],[0,0,0,1]]", "--hitting", '{"targets": [0]}' ]);
+		
+		ASSERT.ok( evs.every( ev => ev.at ), "every stdout line is an event" );
+		[ "config", "jump", "batch", "end" ].forEach( at => ASSERT.ok( evs.some( ev => ev.at == at ), `generate emits ${at} events` ) );
+		ASSERT.equal( evs.filter( ev => ev.at == "end" ).length, 1 );
+		ASSERT.deepEqual( JSON.parse( analysis ).chain_classes.transient_states, [1, 2] );
+		ASSERT.throws( () => run([ "generate", "--markov", "[[0.9,0.2],[0.3,0.7]]" ]), "invalid config exits with an error" );
+		
+		var 
+			path = "/tmp/randpr_R5.23.ndjson",
+			args = [ "generate", "--markov", "[[0.9,0.1],[0.3,0.7]]", "--N", "50", "--steps", "2000", "--seed", "1", "--at", "jump,end" ];
+		
+		run( args.concat([ "--out", path ]) );
+		ASSERT.equal( FS.readFileSync( path, "utf8" ), run( args ), "the out file gets the stdout events" );
+		FS.unlinkSync( path );
+		Log("R5.23 passed");
+		break;
+		
+	case "R5.24":  // config validation
+		var 
+			errors = null,
+			ran = new RAN({
+				markov: [[0.5, 0.6], [-0.1, 1.1]],
+				wiener: {},
+				symbols: ["a", "b", "c"],
+				mixing: { mu: [[0, 0], [1]], sigma: [[[1, 0], [0, 1]]] }
+			}, function (err) {
+				errors = err.errors;
+			});
+		
+		ASSERT.deepEqual( errors, [
+			"only one process type can be given but found markov, wiener",
+			"markov row 0 sums to 1.1 not 1",
+			"markov row 1 has negative or invalid probs",
+			"mixing mu must be a list of equal-length mean vectors",
+			"symbols give 3 states but the process has 2"
+		] );
+		[ () => ran.pipe( store => store ), () => ran.readable(), () => ran.start(), () => ran[Symbol.asyncIterator]() ]
+			.forEach( use => ASSERT.throws( use, /invalid config/, "invalid process fails fast" ) );
+		
+		ASSERT.throws( () => new RAN({ markov: { states: 2, "0": { "2": 0.5 }, "0,2": { "0": 0.3 } } }), { errors: [
+			'markov to-key "2" of "0" refers to states >= 2',
+			'markov from-key "0,2" refers to states >= 2'
+		] }, "thrown without a cb" );
+		
+		new RAN({
+			markov: [[0.9, 0.1], [0.2, 0.8]],
+			mixing: { mu: [[0, 0], [1, 1]], sigma: [[[1, 2], [2, 1]], [[1, 0], [0, 1]]] }
+		}, function (err) {
+			ASSERT.deepEqual( err.errors, ["mixing sigma 0 must be positive definite"] );
+		});
+		
+		new RAN({ markov: [[0.9, 0.1], [0.2, 0.8]] }, function (err) {
+			ASSERT.equal( err, null, "valid config" );
+		});
+		Log("R5.24 passed");
+		break;
+		
+	case "R5.25":  // streams advance only as fast as they are read, and only once
+		(async function () {
+			var 
+				path = "/tmp/randpr_R5.25.ndjson",
+				tick = () => new Promise( res => setImmediate(res) ),
+				markov = cfg => new RAN( Copy( cfg || {}, {
+					markov: [[0.9, 0.1], [0.3, 0.7]],
+					seed: 1,
+					N: 10,
+					steps: 20000
+				}) ),
+				ran = markov(),
+				stream = ran.readable(),
+				counts = {};
+			
+			stream.read(0);		// fill the buffer without reading it
+			await tick();
+			ASSERT.ok( ran.s > 0 && ran.s < 100, `paused at step ${ran.s} by backpressure` );
+			
+			for await (const ev of stream) 
+				counts[ev.at] = ( counts[ev.at] || 0 ) + 1;
+			
+			ASSERT.equal( ran.s, 20000 );
+			ASSERT.equal( counts.end, 1 );
+			ASSERT.throws( () => ran.readable(), /already piped or read/ );
+			
+			try {	// a second for await
+				for await (const ev of ran) ;
+				ASSERT.fail( "second for await" );
+			}
+			catch (err) {
+				ASSERT.ok( /already piped or read/.test( err.message ) );
+			}
+			
+			ran = markov({ steps: 10 });
+			ran.pipe( new STREAM.Writable({ write: (chunk,en,cb) => cb() }) );
+			ASSERT.throws( () => ran[Symbol.asyncIterator](), /already piped or read/, "for await after pipe" );
+			
+			ran = markov({ steps: 10 });
+			ran.pipe( store => store );
+			ASSERT.throws( () => ran.pipe( store => store ), /already piped or read/, "pipe twice" );
+			
+			markov({ 
+				N: 50, 
+				steps: 400, 
+				filter: (str, ev) => { if ( ev.at == "jump" ) str.push(ev); } 
+			}).pipe( store => FS.writeFileSync( path, store.map( ev => JSON.stringify(ev) ).join("\n") ) );
+			
+			for ( const spec of [ { path: path }, { stream: FS.createReadStream( path, { highWaterMark: 1024 } ) } ] ) {
+				var 
+					learner = new RAN({
+						learn: Copy( spec, { at: "jump" } ),
+						markov: { states: 2 },
+						keys: { index: "index", state: "state" },
+						N: 50,
+						filter: (str, ev) => str.push(ev)
+					}),
+					events = learner.readable(),
+					n = 0;
+				
+				events.read(0);
+				for ( var k = 0; k < 20 && !learner.halt && !learner.store.drain; k++ ) 
+					await new Promise( res => setTimeout(res, 10) );	// let the file stream flow
+
+				ASSERT.ok( !learner.halt && learner.store.drain, "learner paused by backpressure" );
+				if ( spec.stream ) ASSERT.ok( spec.stream.isPaused(), "event stream paused" );
+				
+				for await (const ev of events) n++;
+				
+				ASSERT.ok( learner.halt && n > 400, `learned through ${n} events` );
+			}
+			
+			FS.unlinkSync( path );
+			Log("R5.25 passed");
+		})();
 		break;
 }
 